@@ -20,13 +20,19 @@ const AppState = {
   // Service Workerが正常に登録され、使用可能かどうか
   serviceWorkerReady: false,
   
-  // ネットワーク接続状態（navigator.onLineの値をキャッシュ）
-  // オンライン：true、オフライン：false
+  // ネットワーク接続状態（js/connectivity.js の到達性チェックの結果）
+  // 通信可能（オンライン・低速）：true、オフライン：false
   isOnline: navigator.onLine,
   
+  // 到達性チェックの詳細（status、latency、lastCheckedAt など）
+  connectivity: null,
+  
   // PWAインストールプロンプトイベント（beforeinstallprompt）を保持
   // 他のファイル（install.js）で使用される可能性があるため、ここで定義
-  installPromptEvent: null
+  installPromptEvent: null,
+  
+  // ストレージ使用量・内訳・永続化状態（js/storage.js の checkStorage() が更新）
+  storage: null
 };
 
 /**
@@ -50,7 +56,8 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // STEP2: Service Workerを登録
   // PWAの核となる機能（オフライン対応、プッシュ通知等）を有効化
-  registerServiceWorker();
+  // 登録後にストレージ使用量を確認する（使用量が多ければ Service Worker にキャッシュ削減を要求できるように）
+  registerServiceWorker().then(() => window.PWAStorage.checkStorage());
   
   // STEP3: 各種イベントリスナーを設定
   // オンライン/オフライン状態、ボタンクリック等のイベントハンドリング
@@ -60,6 +67,9 @@ document.addEventListener('DOMContentLoaded', function() {
   // Service Worker状態、オンライン状態、インストール状態を表示
   updateUI();
   
+  // STEP5: Service Workerが記録したキャッシュ削除数をIndexedDBから読み込んで表示
+  loadEvictionCount();
+  
   log('アプリケーション初期化完了');
 });
 
@@ -75,6 +85,7 @@ function initializeElements() {
   elements.swStatus = document.getElementById('swStatus');                     // Service Workerの状態表示用スパン
   elements.onlineStatus = document.getElementById('onlineStatus');             // オンライン/オフライン状態表示用スパン
   elements.installCheckStatus = document.getElementById('installCheckStatus'); // インストール状態表示用スパン
+  elements.evictionStatus = document.getElementById('evictionStatus');         // 期限切れキャッシュ削除数表示用スパン
   
   // キャッシュ機能関連の要素群
   // ユーザーが手動でキャッシュを更新したり、状態を確認したりするための要素
@@ -107,12 +118,14 @@ async function registerServiceWorker() {
   // 古いブラウザや一部のブラウザではサポートされていない
   if ('serviceWorker' in navigator) {
     try {
-      log('Service Worker 登録中... (ファイル: /sw.js)');
+      const scriptUrl = resolveAppUrl(APP_PATHS.serviceWorker);
+      log(`Service Worker 登録中... (ファイル: ${scriptUrl})`);
       
       // Service Workerスクリプトを登録
-      // scope: '/pwa-test/' はサブディレクトリ以下の全てのリクエストを制御することを意味
-      const registration = await navigator.serviceWorker.register('/pwa-test/sw.js', {
-        scope: '/pwa-test/' // GitHub Pagesのサブディレクトリを制御範囲とする
+      // scope はアプリのベースURL（js/config.js）で、その配下の全てのリクエストを制御することを意味
+      // ベースURLは配置先から求めるため、GitHub Pages 以外のパスにもデプロイできる
+      const registration = await navigator.serviceWorker.register(scriptUrl, {
+        scope: APP_BASE_URL
       });
       
       log(`Service Worker 登録成功 - スコープ: ${registration.scope}`);
@@ -130,11 +143,15 @@ async function registerServiceWorker() {
         log('アクティブなService Workerを検出 - 既に動作中');
       }
       
+      // ページとService Workerのバージョンを交換し、互換性を確認（js/version.js）
+      // デプロイ直後に古いページと新しいService Worker（またはその逆）が組み合わさるのを検出する
+      window.PWAVersion.checkVersionCompatibility();
+      
       // アップデートのために待機中のService Workerがある場合
       // 新しいバージョンが利用可能だが、既存のタブが開いているため待機中
       if (registration.waiting) {
         log('待機中のService Workerを検出 - アップデートが利用可能');
-        showUpdateAvailable(); // ユーザーにアップデートを通知
+        showUpdateAvailable(registration.waiting); // ユーザーにアップデートを通知
       }
       
       // 新しいService Workerがインストール中の場合
@@ -181,17 +198,79 @@ function setupServiceWorkerListeners(registration) {
     trackInstalling(newWorker); // インストール進行状況を追跡
   });
   
-  // 'controllerchange'イベント: アクティブなService Workerが変わった時に発火
-  // 新しいService Workerがアクティブになった時に、ページをリロードして新機能を適用
+  // 'message'イベント: Service WorkerからpostMessageで通知が届いた時に発火
+  // キャッシュの期限切れ削除などService Worker側の出来事をUIに反映する
+  navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+  
+  // 'controllerchange'イベント: ページを制御するService Workerが変わった時に発火
+  // ユーザーが更新バナーで更新を選んだ場合は、ページをリロードして新機能を適用
+  // それ以外（初回インストール時の clients.claim() など）はバージョンを確認し、互換性がない場合のみリロードする
   let refreshing = false; // 重複リロード防止フラグ
   navigator.serviceWorker.addEventListener('controllerchange', () => {
     if (refreshing) return; // 既にリロード中の場合は処理をスキップ
-    log('Service Worker が更新されました - ページをリロードして新機能を適用');
-    refreshing = true;
-    window.location.reload(); // ページ全体をリロードして新しいService Workerを使用
+    
+    if (window.PWAUpdate.isApplyingUpdate()) {
+      log('Service Worker が更新されました - ページをリロードして新機能を適用');
+      refreshing = true;
+      window.location.reload(); // ページ全体をリロードして新しいService Workerを使用
+      return;
+    }
+    
+    log('ページを制御するService Workerが変わりました - バージョンを確認');
+    window.PWAVersion.checkVersionCompatibility();
   });
 }
 
+/**
+ * Service Workerからのメッセージを処理する関数
+ * メッセージの type に応じてUIを更新する
+ * @param {MessageEvent} event - Service Workerから届いたメッセージイベント
+ */
+function handleServiceWorkerMessage(event) {
+  const message = event.data || {};
+  
+  switch (message.type) {
+    case 'CACHE_EVICTED':
+      // 有効期限・上限超過によるキャッシュ削除（sw/expiration.js）
+      log(`キャッシュ期限切れ削除: ${message.cacheName} から ${message.count} 件 (累計 ${message.total} 件)`);
+      updateEvictionStatus(message.total);
+      break;
+      
+    case 'SYNC_STATUS':
+      // 同期タスクの開始・進捗・成功・失敗（sw/sync.js）
+      handleSyncStatus(message);
+      break;
+      
+    case 'PERIODIC_SYNC_LOGGED':
+      // 定期バックグラウンド同期の実行記録が追加された（sw/periodic-sync.js）
+      window.PWASync.loadPeriodicSyncLog();
+      break;
+      
+    case 'CACHE_REFRESH_PROGRESS':
+      // キャッシュの一括更新の進捗（sw/refresh.js）
+      handleCacheRefreshProgress(message);
+      break;
+      
+    case 'OUTBOX_REPLAYED':
+      // オフライン時に保存したリクエストの再送結果（sw/outbox.js）
+      log(`アウトボックス再送: 成功 ${message.replayed} 件 / デッドレター ${message.deadLettered} 件 / 残り ${message.remaining} 件`);
+      break;
+      
+    case 'PUSH_SUBSCRIPTION_CHANGED':
+      // プッシュサブスクリプションの更新とサーバーへの再登録（sw/push-subscription.js）
+      window.PWAPush.handleSubscriptionChanged(message);
+      break;
+      
+    case 'NOTIFICATION_ACTION':
+      // 通知のクリック・アクションの結果（sw/notification-click.js）
+      window.PWAPush.handleNotificationAction(message);
+      break;
+      
+    default:
+      log(`未知のService Workerメッセージ: ${message.type}`);
+  }
+}
+
 /**
  * インストール中のService Workerの状態を追跡する関数
  * Service Workerのインストール進行状況を監視し、完了時に適切な処理を実行
@@ -206,47 +285,28 @@ function trackInstalling(worker) {
     // 'installed'状態: インストール完了、アクティベート待ち
     // この時点でユーザーにアップデートを通知する
     if (worker.state === 'installed') {
-      showUpdateAvailable(); // アップデート利用可能の通知を表示
+      showUpdateAvailable(worker); // アップデート利用可能の通知を表示
     }
   });
 }
 
 /**
  * Service Workerアップデート利用可能の通知関数
- * 新しいService Workerが利用可能になった時にユーザーに通知し、
- * ユーザーの同意を得てアップデートを適用する
+ * 新しいService Workerが待機状態になった時に、更新バナー（js/update.js）でユーザーに通知する
+ * ユーザーが「今すぐ更新」を選ぶまで新しいService Workerはアクティブにならない
  * 
- * 実際のプロダクションでは、confirm()の代わりに、
- * トースト通知やバナーなどのより優雅なUIを使用することを推奨
+ * 初回訪問時はページを制御しているService Workerがないため、
+ * インストールされたService Workerは待機せずにそのままアクティブになる（通知不要）
+ * @param {ServiceWorker} worker - 待機中のService Worker
  */
-function showUpdateAvailable() {
-  log('Service Worker のアップデートが利用可能です');
-  
-  // ユーザーにアップデートの確認を求める
-  // 実際のアプリケーションでは、より上品なUI（スナックバー、モーダル等）を使用すべき
-  const shouldUpdate = confirm(
-    'アプリケーションの新しいバージョンが利用可能です。\n' +
-    '新機能やバグ修正が含まれている可能性があります。\n' +
-    '今すぐ更新しますか？'
-  );
-  
-  if (shouldUpdate) {
-    log('ユーザーがアップデートを承認 - Service Workerをアクティベート中');
-    
-    // 待機中のService Workerを取得してアクティブ化を指示
-    navigator.serviceWorker.getRegistration().then(registration => {
-      if (registration && registration.waiting) {
-        // 'SKIP_WAITING'メッセージをService Workerに送信
-        // これにより、Service Workerがself.skipWaiting()を実行し、即座にアクティブになる
-        registration.waiting.postMessage({ type: 'SKIP_WAITING' });
-        log('SKIP_WAITINGメッセージをService Workerに送信しました');
-      } else {
-        log('待機中のService Workerが見つかりません');
-      }
-    });
-  } else {
-    log('ユーザーがアップデートを拒否 - 次回訪問時に再度通知');
+function showUpdateAvailable(worker) {
+  if (!navigator.serviceWorker.controller) {
+    log('初回インストールのためアップデート通知は不要です');
+    return;
   }
+  
+  log('Service Worker のアップデートが利用可能です');
+  window.PWAUpdate.offerUpdate(worker);
 }
 
 /**
@@ -256,10 +316,9 @@ function showUpdateAvailable() {
  */
 function setupEventListeners() {
   // ネットワーク状態の監視を設定
-  // 'online'イベント: ネットワーク接続が復旧した時に発火
-  window.addEventListener('online', handleOnlineStatusChange);
-  // 'offline'イベント: ネットワーク接続が切断された時に発火
-  window.addEventListener('offline', handleOnlineStatusChange);
+  // 'connectivitychange'イベント: js/connectivity.js が到達性を確認するたびに発火
+  // navigator.onLine はキャプティブポータル等でも true になるため、online/offline イベントは直接使わない
+  window.addEventListener('connectivitychange', handleConnectivityChange);
   
   // キャッシュ更新ボタンのイベントリスナー設定
   // ユーザーが手動でキャッシュを更新したい場合に使用
@@ -283,13 +342,20 @@ function setupEventListeners() {
   log('イベントリスナー設定完了 - 合計3種類のイベントを監視中');
 }
 
-// オンライン状態の変化を処理
-function handleOnlineStatusChange() {
-  AppState.isOnline = navigator.onLine;
-  log(`オンライン状態変化: ${AppState.isOnline ? 'オンライン' : 'オフライン'}`);
+// 接続状態の変化を処理
+function handleConnectivityChange(event) {
+  const connectivity = event.detail;
+  const wasOnline = AppState.isOnline;
+  
+  AppState.connectivity = connectivity;
+  AppState.isOnline = connectivity.status !== 'offline';
   updateUI();
   
-  if (AppState.isOnline) {
+  if (connectivity.status !== connectivity.previousStatus) {
+    log(`接続状態変化: ${connectivity.previousStatus} → ${connectivity.status}`);
+  }
+  
+  if (AppState.isOnline && !wasOnline) {
     // オンライン復帰時にキャッシュを更新
     updateCache();
   }
@@ -314,10 +380,16 @@ function updateUI() {
     elements.swStatus.style.color = AppState.serviceWorkerReady ? 'green' : 'red';
   }
   
-  // オンライン状態表示
+  // オンライン状態表示（到達性チェック前は navigator.onLine の値）
   if (elements.onlineStatus) {
-    elements.onlineStatus.textContent = AppState.isOnline ? 'オンライン' : 'オフライン';
-    elements.onlineStatus.style.color = AppState.isOnline ? 'green' : 'red';
+    const connectivity = AppState.connectivity;
+    const status = connectivity ? connectivity.status : (AppState.isOnline ? 'online' : 'offline');
+    const labels = { online: 'オンライン', degraded: '低速', offline: 'オフライン' };
+    const colors = { online: 'green', degraded: 'orange', offline: 'red' };
+    
+    elements.onlineStatus.textContent = labels[status] +
+      (connectivity && connectivity.latency !== null ? ` (${connectivity.latency}ms)` : '');
+    elements.onlineStatus.style.color = colors[status];
   }
   
   // インストール状態の確認と表示
@@ -347,7 +419,50 @@ async function checkInstallStatus() {
   }
 }
 
+// Service Workerが記録したキャッシュ削除の累計をIndexedDBから読み込む
+async function loadEvictionCount() {
+  try {
+    const record = await idbGet('meta', 'evictedEntries');
+    updateEvictionStatus(record ? record.value : 0);
+  } catch (error) {
+    log(`キャッシュ削除数の読み込みエラー: ${error}`);
+    updateEvictionStatus(null);
+  }
+}
+
+// キャッシュ削除数の表示を更新
+function updateEvictionStatus(total) {
+  if (!elements.evictionStatus) return;
+  
+  elements.evictionStatus.textContent = total === null ? '取得エラー' : `${total} 件`;
+  elements.evictionStatus.style.color = total === null ? 'red' : 'green';
+}
+
+// プリキャッシュのキャッシュキーかどうか
+// sw/precache.js はリビジョンを PRECACHE_REVISION_PARAM（js/config.js）のクエリに付けてアプリシェルを保存している
+function isPrecacheKey(request) {
+  return new URL(request.url).searchParams.has(PRECACHE_REVISION_PARAM);
+}
+
+// キャッシュの1エントリをネットワークから再取得して上書きする
+// 取得と保存はService Workerが行い、ルートのキャッシュ可否と有効期限を適用する（sw/refresh.js）
+// 保存した場合は true、失敗した場合やキャッシュ対象外だった場合は false を返す
+async function refetchCacheEntry(cacheName, request) {
+  try {
+    const { updated } = await ServiceWorkerClient.refetchEntry(cacheName, request.url);
+    if (!updated) {
+      log(`キャッシュ対象外のため更新せず (${request.url})`);
+    }
+    return updated;
+  } catch (error) {
+    log(`キャッシュ更新エラー (${request.url}): ${error.message}`);
+    return false;
+  }
+}
+
 // キャッシュ更新機能
+// キャッシュの再検証はService Workerが条件付きリクエストで行い（sw/refresh.js）、
+// 変更のないリソースは再ダウンロードしない。進捗は CACHE_REFRESH_PROGRESS メッセージで表示される
 async function updateCache() {
   if (!AppState.serviceWorkerReady) {
     log('Service Worker が利用できないためキャッシュを更新できません');
@@ -363,38 +478,26 @@ async function updateCache() {
       elements.cacheStatus.textContent = 'ステータス: 更新中...';
     }
     
-    // Service Worker にキャッシュ更新を要求
+    // Service Worker 自体の更新を確認
     const registration = await navigator.serviceWorker.getRegistration();
     if (registration) {
       await registration.update();
       log('Service Worker 更新チェック完了');
     }
     
-    // キャッシュを手動で更新
-    if ('caches' in window) {
-      const cacheNames = await caches.keys();
-      for (const cacheName of cacheNames) {
-        const cache = await caches.open(cacheName);
-        const requests = await cache.keys();
-        
-        for (const request of requests) {
-          try {
-            const response = await fetch(request);
-            if (response.ok) {
-              await cache.put(request, response);
-            }
-          } catch (error) {
-            log(`キャッシュ更新エラー (${request.url}): ${error}`);
-          }
-        }
-      }
-    }
+    // ランタイムキャッシュを一括更新
+    // プリキャッシュのエントリはService Workerの更新時にリビジョン単位で入れ替わるため対象外
+    const summary = await ServiceWorkerClient.refreshCaches();
     
     if (elements.cacheStatus) {
-      elements.cacheStatus.textContent = 'ステータス: 更新完了';
+      elements.cacheStatus.textContent =
+        `ステータス: 更新完了 - 更新 ${summary.updated} 件 / 変更なし ${summary.notModified} 件 / 失敗 ${summary.failed} 件（${formatBytes(summary.bytesSaved)} 節約）`;
     }
     log('キャッシュ更新完了');
     
+    // 更新でキャッシュのサイズが変わるため使用量を確認し直す
+    window.PWAStorage.checkStorage();
+    
   } catch (error) {
     log(`キャッシュ更新エラー: ${error}`);
     if (elements.cacheStatus) {
@@ -403,6 +506,14 @@ async function updateCache() {
   }
 }
 
+// Service Workerから届いたキャッシュ一括更新の進捗を #cacheStatus に反映
+function handleCacheRefreshProgress(message) {
+  if (!elements.cacheStatus || message.completed === message.total) return;
+  
+  elements.cacheStatus.textContent =
+    `ステータス: 更新中 (${message.completed}/${message.total}) - ${formatBytes(message.bytesSaved)} 節約`;
+}
+
 // バックグラウンド同期の要求
 async function requestBackgroundSync() {
   if (!AppState.serviceWorkerReady) {
@@ -419,20 +530,13 @@ async function requestBackgroundSync() {
       elements.syncStatus.textContent = 'ステータス: 同期要求中...';
     }
     
-    const registration = await navigator.serviceWorker.ready;
+    // Background Sync API 未対応のブラウザでは代替方式で登録される（js/sync.js）
+    const { mechanism } = await window.PWASync.registerSync('test-sync');
+    log(`バックグラウンド同期を登録 - 方式: ${mechanism}`);
     
-    if ('sync' in registration) {
-      await registration.sync.register('test-sync');
-      log('バックグラウンド同期を登録');
-      
-      if (elements.syncStatus) {
-        elements.syncStatus.textContent = 'ステータス: 同期登録完了';
-      }
-    } else {
-      log('バックグラウンド同期はサポートされていません');
-      if (elements.syncStatus) {
-        elements.syncStatus.textContent = 'ステータス: 同期未対応';
-      }
+    // 実際の結果はService WorkerからのSYNC_STATUSメッセージで表示される
+    if (elements.syncStatus) {
+      elements.syncStatus.textContent = `ステータス: 同期登録完了 - 実行待ち（${mechanism}）`;
     }
     
   } catch (error) {
@@ -443,15 +547,60 @@ async function requestBackgroundSync() {
   }
 }
 
+// 再送を諦めたアウトボックスのリクエスト一覧を取得（デバッグ用）
+// body は ArrayBuffer のため、テキストとして読めるものは bodyText に展開する
+async function getDeadLetters() {
+  const entries = await idbGetAll('outbox-dead-letter');
+  const decoder = new TextDecoder();
+  
+  return entries.map((entry) => ({
+    ...entry,
+    bodyText: entry.body ? decoder.decode(entry.body) : null
+  }));
+}
+
+// Service Workerから届いた同期タスクの状態を #syncStatus に反映
+function handleSyncStatus(message) {
+  let text;
+  
+  switch (message.state) {
+    case 'start':
+      text = '同期実行中...';
+      break;
+    case 'progress':
+      text = `同期実行中 (${message.completed}/${message.total})${message.message ? ` ${message.message}` : ''}`;
+      break;
+    case 'success':
+      text = '同期完了';
+      break;
+    case 'failure':
+      text = `同期失敗 - ${message.error}`;
+      break;
+    default:
+      text = `不明な状態 (${message.state})`;
+  }
+  
+  log(`同期タスク [${message.tag}]: ${text}`);
+  
+  if (elements.syncStatus) {
+    elements.syncStatus.textContent = `ステータス: [${message.tag}] ${text}`;
+    elements.syncStatus.style.color = message.state === 'failure' ? 'red' : (message.state === 'success' ? 'green' : '');
+  }
+}
+
 // アプリケーション情報の取得
 function getAppInfo() {
   return {
     serviceWorkerReady: AppState.serviceWorkerReady,
     isOnline: AppState.isOnline,
+    connectivity: AppState.connectivity,
     userAgent: navigator.userAgent,
     platform: navigator.platform,
     language: navigator.language,
     cookieEnabled: navigator.cookieEnabled,
+    storage: AppState.storage,
+    baseUrl: APP_BASE_URL,
+    version: VersionState.lastResult,
     url: window.location.href
   };
 }
@@ -472,6 +621,8 @@ window.PWATest = {
   getAppInfo,
   updateCache,
   requestBackgroundSync,
+  getDeadLetters,
+  sw: ServiceWorkerClient, // Service Worker コマンドの Promise API（js/messaging.js）
   log
 };
 
@@ -0,0 +1,269 @@
+/**
+ * キャッシュインスペクター
+ * デバッグ情報セクションに、Cache Storage の全てのキャッシュとそのエントリを一覧表示します。
+ *
+ * 主な機能:
+ * - キャッシュごとのエントリ数と合計サイズの表示
+ * - エントリごとの URL、サイズ、日付（Date ヘッダー）、Content-Type の表示
+ * - エントリ単位・キャッシュ単位の削除
+ * - エントリ単位の再取得（app.js の refetchCacheEntry() を使用）
+ * - 他オリジンのエントリの一覧（opaque レスポンスは中身もサイズも読めないため別に数える）
+ *
+ * プリキャッシュのエントリはリビジョン管理されているため再取得できません（削除は可能）。
+ */
+
+/**
+ * キャッシュインスペクター専用のデバッグログ関数
+ * [Inspector]プレフィックスでキャッシュインスペクター関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logInspector(message) {
+  console.log(`[Inspector] ${message}`);
+}
+
+/**
+ * キャッシュインスペクターのDOM要素への参照
+ */
+let inspectorList = null;       // キャッシュ一覧を表示するコンテナ
+let inspectorRefreshBtn = null; // 一覧の再読み込みボタン
+let crossOriginList = null;     // 他オリジンのエントリを表示するリスト
+
+/**
+ * キャッシュインスペクターの初期化処理
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  inspectorList = document.getElementById('cacheInspectorList');
+  inspectorRefreshBtn = document.getElementById('cacheInspectorRefreshBtn');
+  crossOriginList = document.getElementById('crossOriginList');
+
+  if (!inspectorList || !('caches' in window)) {
+    logInspector('キャッシュインスペクターを利用できません');
+    return;
+  }
+
+  if (inspectorRefreshBtn) {
+    inspectorRefreshBtn.addEventListener('click', renderCacheInspector);
+  }
+
+  renderCacheInspector();
+});
+
+/**
+ * 1つのキャッシュの全エントリの情報を取得する
+ * @param {string} cacheName - キャッシュ名
+ * @returns {Promise<Object[]>} エントリ情報（request、url、size、date、contentType、crossOrigin、opaque）の配列
+ */
+async function getCacheEntries(cacheName) {
+  const cache = await caches.open(cacheName);
+  const requests = await cache.keys();
+
+  return Promise.all(requests.map(async (request) => {
+    const response = await cache.match(request);
+    // opaque レスポンスはサイズを読み取れないため 0 になる
+    const blob = response ? await response.blob() : null;
+
+    return {
+      request,
+      url: request.url,
+      size: blob ? blob.size : 0,
+      date: response && response.headers.get('Date'),
+      contentType: response && response.headers.get('Content-Type'),
+      crossOrigin: new URL(request.url).origin !== location.origin,
+      opaque: Boolean(response) && response.type === 'opaque'
+    };
+  }));
+}
+
+/**
+ * ボタン要素を作成する
+ * @param {string} label - ボタンの表示名
+ * @param {Function} onClick - クリック時の処理
+ * @returns {HTMLButtonElement} ボタン要素
+ */
+function createInspectorButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'inspector-btn';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * キャッシュの1エントリを削除する
+ * 失敗した場合はページのログに表示する（app.js の refetchCacheEntry() と同様）
+ * @param {Cache} cache - エントリが属するキャッシュ
+ * @param {Request} request - 削除するエントリのリクエスト
+ * @returns {Promise<boolean>} 削除できた場合は true
+ */
+async function deleteCacheEntry(cache, request) {
+  try {
+    return await cache.delete(request);
+  } catch (error) {
+    log(`キャッシュのエントリ削除エラー (${request.url}): ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * キャッシュを丸ごと削除する
+ * 失敗した場合はページのログに表示する
+ * @param {string} cacheName - キャッシュ名
+ * @returns {Promise<boolean>} 削除できた場合は true
+ */
+async function deleteCache(cacheName) {
+  try {
+    return await caches.delete(cacheName);
+  } catch (error) {
+    log(`キャッシュ削除エラー (${cacheName}): ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 1つのエントリの行を作成する
+ * @param {string} cacheName - エントリが属するキャッシュの名前
+ * @param {Cache} cache - エントリが属するキャッシュ
+ * @param {Object} entry - getCacheEntries() のエントリ情報
+ * @returns {HTMLTableRowElement} テーブルの行
+ */
+function createEntryRow(cacheName, cache, entry) {
+  const row = document.createElement('tr');
+  const cells = [
+    entry.url.replace(location.origin, ''),
+    entry.opaque ? 'opaque' : formatBytes(entry.size),
+    entry.date ? new Date(entry.date).toLocaleString() : '-',
+    entry.contentType || '-'
+  ];
+
+  cells.forEach((text) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+
+  const actions = document.createElement('td');
+
+  if (!isPrecacheKey(entry.request)) {
+    actions.appendChild(createInspectorButton('再取得', async () => {
+      logInspector(`再取得: ${entry.url}`);
+      await refetchCacheEntry(cacheName, entry.request);
+      renderCacheInspector();
+    }));
+  }
+
+  actions.appendChild(createInspectorButton('削除', async () => {
+    logInspector(`エントリを削除: ${entry.url}`);
+    await deleteCacheEntry(cache, entry.request);
+    renderCacheInspector();
+  }));
+
+  row.appendChild(actions);
+  return row;
+}
+
+/**
+ * 1つのキャッシュの表示ブロックを作成する
+ * @param {string} cacheName - キャッシュ名
+ * @param {Object[]} entries - getCacheEntries() のエントリ情報
+ * @returns {Promise<HTMLDetailsElement>} 折りたたみ可能なブロック
+ */
+async function createCacheBlock(cacheName, entries) {
+  const cache = await caches.open(cacheName);
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  const details = document.createElement('details');
+  details.className = 'inspector-cache';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${cacheName} - ${entries.length} 件 / ${formatBytes(totalBytes)}`;
+  summary.appendChild(createInspectorButton('キャッシュ削除', async (event) => {
+    event.preventDefault();
+    logInspector(`キャッシュを削除: ${cacheName}`);
+    await deleteCache(cacheName);
+    renderCacheInspector();
+  }));
+  details.appendChild(summary);
+
+  const table = document.createElement('table');
+  const header = document.createElement('tr');
+  ['URL', 'サイズ', '日付', 'Content-Type', ''].forEach((label) => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    header.appendChild(cell);
+  });
+  table.appendChild(header);
+
+  entries
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .forEach((entry) => table.appendChild(createEntryRow(cacheName, cache, entry)));
+
+  details.appendChild(table);
+  return details;
+}
+
+/**
+ * キャッシュ一覧を読み込み直して表示する
+ */
+async function renderCacheInspector() {
+  if (!inspectorList) return;
+
+  try {
+    const cacheNames = await caches.keys();
+    const entriesByCache = await Promise.all(cacheNames.map(getCacheEntries));
+    const blocks = await Promise.all(cacheNames.map((cacheName, index) => createCacheBlock(cacheName, entriesByCache[index])));
+    renderCrossOriginEntries(cacheNames, entriesByCache);
+
+    if (blocks.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'キャッシュはありません';
+      blocks.push(empty);
+    }
+
+    inspectorList.replaceChildren(...blocks);
+    logInspector(`キャッシュ一覧を表示: ${cacheNames.length} 件`);
+  } catch (error) {
+    logInspector(`キャッシュ一覧の取得エラー: ${error}`);
+    inspectorList.textContent = `取得エラー: ${error.message}`;
+  }
+}
+
+/**
+ * 他オリジンのエントリの一覧を表示する
+ * どのホストのレスポンスを保存するかは sw.js の CROSS_ORIGIN_CONFIG で設定されている
+ * @param {string[]} cacheNames - キャッシュ名の配列
+ * @param {Object[][]} entriesByCache - キャッシュごとの getCacheEntries() のエントリ情報
+ */
+function renderCrossOriginEntries(cacheNames, entriesByCache) {
+  if (!crossOriginList) return;
+
+  const items = [];
+  let opaqueCount = 0;
+
+  cacheNames.forEach((cacheName, index) => {
+    entriesByCache[index]
+      .filter((entry) => entry.crossOrigin)
+      .forEach((entry) => {
+        if (entry.opaque) opaqueCount++;
+
+        const item = document.createElement('li');
+        item.textContent = `${entry.url} (${cacheName}${entry.opaque ? ', opaque' : `, ${formatBytes(entry.size)}`})`;
+        items.push(item);
+      });
+  });
+
+  const summary = document.createElement('li');
+  summary.textContent = items.length > 0
+    ? `合計 ${items.length} 件（opaque ${opaqueCount} 件）`
+    : '他オリジンのエントリはありません';
+
+  crossOriginList.replaceChildren(summary, ...items);
+}
+
+// エクスポート（デバッグ用）
+window.PWACacheInspector = {
+  render: renderCacheInspector,
+  getCacheEntries
+};
+
+logInspector('cache-inspector.js ファイル読み込み完了');
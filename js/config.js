@@ -0,0 +1,102 @@
+/**
+ * アプリの配置場所の設定
+ * ページ（index.html の script タグ）と Service Worker（sw.js の importScripts）の
+ * 両方から読み込まれ、アプリのベースURLと主要なファイルのパスを共有します。
+ *
+ * ベースURLは配置先から自動的に求めるため、任意のパスにデプロイできます。
+ * - ページ: このスクリプト（js/config.js）の URL の1つ上のディレクトリ
+ * - Service Worker: registration.scope（既定では sw.js と同じディレクトリ）
+ * manifest.json の start_url・scope・shortcuts も相対URLで書き、manifest.json の位置から解決されます。
+ *
+ * アプリ内のURLは '/' から始まる絶対パスで書かず、APP_PATHS の相対パスを resolveAppUrl() で解決してください。
+ * プッシュサーバーを別のオリジンで動かす場合は、APP_PATHS の push* に絶対URLを指定できます。
+ */
+
+/**
+ * ビルドバージョン
+ * ページと Service Worker はそれぞれ読み込んだ時点のこのファイルの値を持ち、
+ * ページの起動時に交換して互換性を確認します（js/version.js、sw.js の HANDSHAKE）
+ * version.json の version と一致させてください
+ */
+const APP_VERSION = '1.3.0';
+
+/**
+ * 互換性のある最も古いバージョン
+ * 相手（ページまたは Service Worker）のバージョンがこれより古い場合は互換性なしとして扱います
+ * メッセージの形式やキャッシュ・IndexedDB の構造を互換性なく変更した時に上げてください
+ */
+const APP_MIN_COMPATIBLE_VERSION = '1.3.0';
+
+/**
+ * アプリのベースURL（末尾は '/'）
+ */
+const APP_BASE_URL = typeof document === 'undefined'
+  ? self.registration.scope
+  : new URL('../', document.currentScript.src).href;
+
+/**
+ * ベースURLからの相対パス
+ */
+const APP_PATHS = {
+  serviceWorker: 'sw.js',                    // Service Worker のスクリプト
+  offline: 'offline.html',                   // オフライン時のフォールバックページ
+  version: 'version.json',                   // バージョンとリリースノート（sw/release.js）
+  ping: 'ping.txt',                          // 接続状態の確認用（js/connectivity.js）
+  icon: 'icons/icon-192x192.png',            // 通知のアイコン
+  badge: 'icons/icon-72x72.png',             // 通知のバッジ（Android のステータスバー）
+  pushConfig: 'api/push/config',             // プッシュサーバーの設定（VAPID 公開鍵）（js/push-api.js）
+  pushSubscribe: 'api/push/subscribe',       // プッシュサブスクリプションの登録（js/push-api.js）
+  pushUnsubscribe: 'api/push/unsubscribe'    // プッシュサブスクリプションの削除（js/push-api.js）
+};
+
+/**
+ * プリキャッシュのキャッシュキーに付けるリビジョンのクエリパラメータ名（sw/precache.js）
+ * ページではキャッシュの一覧でプリキャッシュのエントリを見分けるのに使います
+ */
+const PRECACHE_REVISION_PARAM = '__precache';
+
+/**
+ * ベースURLからの相対パスを絶対URLに解決する
+ * @param {string} [path] - APP_PATHS の値などの相対パス。省略時はベースURL
+ * @returns {string} 絶対URL
+ */
+function resolveAppUrl(path = '') {
+  return new URL(path, APP_BASE_URL).href;
+}
+
+/**
+ * URL がアプリのベースURL以下かどうか
+ * @param {string} url - 判定する URL
+ * @returns {boolean} ベースURL以下の場合は true
+ */
+function isAppUrl(url) {
+  return url.startsWith(APP_BASE_URL);
+}
+
+/**
+ * 'major.minor.patch' 形式のバージョンを比較する
+ * @param {string} a - バージョン
+ * @param {string} b - バージョン
+ * @returns {number} a が新しければ正の数、古ければ負の数、同じなら 0
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 相手のバージョンと互換性があるかどうか
+ * @param {string} version - 相手のバージョン
+ * @returns {boolean} 互換性がある場合は true
+ */
+function isCompatibleVersion(version) {
+  return Boolean(version) && compareVersions(version, APP_MIN_COMPATIBLE_VERSION) >= 0;
+}
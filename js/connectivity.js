@@ -0,0 +1,209 @@
+/**
+ * 接続状態の監視（到達性チェック）
+ * navigator.onLine はキャプティブポータルや通信できない Wi-Fi でも true になるため、
+ * 同一オリジンの小さなファイル（APP_PATHS.ping）に実際にリクエストを送って接続状態を判定します。
+ *
+ * 接続状態:
+ * - online:   プローブが成功し、応答時間が CONNECTIVITY_CONFIG.degradedLatencyMs 未満
+ * - degraded: プローブは成功したが応答が遅い
+ * - offline:  navigator.onLine が false、またはプローブが失敗（タイムアウト・エラー・リダイレクト）
+ *
+ * プローブは HEAD リクエストで送るため Service Worker のキャッシュを経由しません（sw.js は GET のみ処理する）。
+ * オンライン中は一定間隔で、オフライン・低速時は指数バックオフで間隔を空けながら再確認します。
+ *
+ * 確認するたびに window に 'connectivitychange' イベントを発行します。
+ * detail は ConnectivityState のコピーで、previousStatus と比較すると状態が変わったかどうかが分かります。
+ * index.html（app.js、sync.js）と offline.html の両方から読み込まれるため、他のファイルに依存しません（js/config.js を除く）。
+ */
+
+/**
+ * 接続状態監視専用のデバッグログ関数
+ * [Connectivity]プレフィックスで接続状態関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logConnectivity(message) {
+  console.log(`[Connectivity] ${message}`);
+}
+
+/**
+ * 到達性チェックの設定
+ */
+const CONNECTIVITY_CONFIG = {
+  timeoutMs: 5000,            // プローブの応答を待つ最大時間
+  degradedLatencyMs: 1500,    // この時間以上かかった場合は低速（degraded）とみなす
+  onlineIntervalMs: 60000,    // オンライン時の再確認間隔
+  backoffBaseMs: 5000,        // オフライン・低速時の再確認間隔の初期値（失敗するごとに2倍）
+  maxBackoffMs: 5 * 60 * 1000 // オフライン・低速時の再確認間隔の上限
+};
+
+/**
+ * 接続状態
+ */
+const ConnectivityState = {
+  // 'online'、'degraded'、'offline' のいずれか（最初のプローブまでは navigator.onLine から推定）
+  status: navigator.onLine ? 'online' : 'offline',
+
+  // 最後に成功したプローブの応答時間（ミリ秒）
+  latency: null,
+
+  // 最後にプローブした時刻
+  lastCheckedAt: null,
+
+  // 次回プローブする予定の時刻
+  nextCheckAt: null,
+
+  // online 以外の結果が続いた回数（バックオフの計算に使用）
+  failures: 0
+};
+
+/**
+ * 次回のプローブのタイマー
+ */
+let connectivityTimerId = null;
+
+/**
+ * 実行中の確認（同時に複数のプローブを送らないため）
+ */
+let connectivityCheckPromise = null;
+
+/**
+ * 接続状態監視の初期化処理
+ * ブラウザのオンライン・オフラインイベントやページの再表示をきっかけにすぐ再確認する
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  window.addEventListener('online', () => checkConnectivity());
+  window.addEventListener('offline', () => checkConnectivity());
+
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+      checkConnectivity();
+    }
+  });
+
+  checkConnectivity();
+});
+
+/**
+ * プローブを1回送信する
+ * @returns {Promise<{ok: boolean, latency: number|null, error: string|null}>} プローブの結果
+ */
+async function probeConnectivity() {
+  const url = new URL(resolveAppUrl(APP_PATHS.ping));
+  url.searchParams.set('t', Date.now()); // 途中のプロキシのキャッシュも回避する
+
+  const controller = new AbortController();
+  const timerId = setTimeout(() => controller.abort(), CONNECTIVITY_CONFIG.timeoutMs);
+  const startedAt = performance.now();
+
+  try {
+    // キャプティブポータルのリダイレクトを成功とみなさないよう、リダイレクトは追跡しない
+    const response = await fetch(url.href, {
+      method: 'HEAD',
+      cache: 'no-store',
+      redirect: 'manual',
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      return { ok: false, latency: null, error: response.type === 'opaqueredirect' ? 'リダイレクト' : `HTTP ${response.status}` };
+    }
+
+    return { ok: true, latency: Math.round(performance.now() - startedAt), error: null };
+  } catch (error) {
+    return { ok: false, latency: null, error: error.name === 'AbortError' ? 'タイムアウト' : error.message };
+  } finally {
+    clearTimeout(timerId);
+  }
+}
+
+/**
+ * 接続状態を確認し、'connectivitychange' イベントを発行する
+ * 確認中に呼ばれた場合は実行中の確認の結果を返す
+ * @returns {Promise<Object>} ConnectivityState のコピー
+ */
+function checkConnectivity() {
+  if (!connectivityCheckPromise) {
+    connectivityCheckPromise = runConnectivityCheck().finally(() => {
+      connectivityCheckPromise = null;
+    });
+  }
+  return connectivityCheckPromise;
+}
+
+/**
+ * 接続状態の確認の本体
+ * 次回の確認もここでスケジュールする（イベントの detail.nextCheckAt で参照できる）
+ * @returns {Promise<Object>} ConnectivityState のコピー
+ */
+async function runConnectivityCheck() {
+  clearTimeout(connectivityTimerId);
+
+  let status;
+  let latency = null;
+
+  if (!navigator.onLine) {
+    // 端末がネットワークに接続していないことは確実なのでプローブしない
+    status = 'offline';
+  } else {
+    const result = await probeConnectivity();
+    latency = result.latency;
+
+    if (!result.ok) {
+      status = 'offline';
+      logConnectivity(`プローブ失敗: ${result.error}`);
+    } else {
+      status = result.latency < CONNECTIVITY_CONFIG.degradedLatencyMs ? 'online' : 'degraded';
+    }
+  }
+
+  const previousStatus = ConnectivityState.status;
+  ConnectivityState.status = status;
+  ConnectivityState.latency = latency;
+  ConnectivityState.lastCheckedAt = Date.now();
+  ConnectivityState.failures = status === 'online' ? 0 : ConnectivityState.failures + 1;
+  scheduleConnectivityCheck();
+
+  if (status !== previousStatus) {
+    logConnectivity(`接続状態変化: ${previousStatus} → ${status}${latency !== null ? ` (${latency}ms)` : ''}`);
+  }
+
+  // 状態が変わらなくても応答時間の表示を更新できるよう、毎回イベントを発行する
+  window.dispatchEvent(new CustomEvent('connectivitychange', {
+    detail: { ...ConnectivityState, previousStatus }
+  }));
+
+  return { ...ConnectivityState };
+}
+
+/**
+ * 次回の確認をスケジュールする
+ * オンライン時は一定間隔、それ以外は失敗回数に応じた指数バックオフ
+ */
+function scheduleConnectivityCheck() {
+  const delay = ConnectivityState.status === 'online'
+    ? CONNECTIVITY_CONFIG.onlineIntervalMs
+    : Math.min(
+      CONNECTIVITY_CONFIG.backoffBaseMs * 2 ** (ConnectivityState.failures - 1),
+      CONNECTIVITY_CONFIG.maxBackoffMs
+    );
+
+  ConnectivityState.nextCheckAt = Date.now() + delay;
+  connectivityTimerId = setTimeout(checkConnectivity, delay);
+}
+
+/**
+ * 通信できる状態かどうか（低速でも通信はできる）
+ * @returns {boolean} online または degraded の場合は true
+ */
+function isConnected() {
+  return ConnectivityState.status !== 'offline';
+}
+
+// エクスポート（デバッグ用）
+window.PWAConnectivity = {
+  checkConnectivity,
+  isConnected,
+  getState: () => ({ ...ConnectivityState })
+};
+
+logConnectivity('connectivity.js ファイル読み込み完了');
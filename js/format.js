@@ -0,0 +1,16 @@
+/**
+ * 表示用の書式ヘルパー
+ * デバッグ情報セクションの各機能（app.js、cache-inspector.js、storage.js）で共通して使います。
+ * 他のファイルに依存しないため、index.html ではこれらより前に読み込みます。
+ */
+
+/**
+ * バイト数を読みやすい単位に変換する
+ * @param {number} bytes - バイト数
+ * @returns {string} '1.2 KB' などの文字列
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,168 @@
+/**
+ * IndexedDB の簡易ラッパー
+ * ページ（index.html の script タグ）と Service Worker（sw.js の importScripts）の
+ * 両方から読み込まれ、同じデータベースを共有します。
+ *
+ * オブジェクトストアを追加する場合は IDB_STORES に定義を追加し、IDB_VERSION を上げてください。
+ * アップグレード時に存在しないストアとインデックスだけが作成されます。
+ */
+
+// データベース名とバージョン
+const IDB_NAME = 'pwa-test';
+const IDB_VERSION = 4;
+
+/**
+ * オブジェクトストアの定義
+ * keyPath: 主キー、autoIncrement: 自動採番、indexes: インデックス名とキーパスの対応
+ */
+const IDB_STORES = {
+  // ランタイムキャッシュの各エントリの保存時刻と最終アクセス時刻（sw/expiration.js）
+  'cache-timestamps': {
+    keyPath: 'id',
+    indexes: { cacheName: 'cacheName' }
+  },
+
+  // ネットワークエラーで送信できなかった非 GET リクエスト（sw/outbox.js）
+  'outbox': {
+    keyPath: 'id',
+    autoIncrement: true
+  },
+
+  // 再送を諦めたアウトボックスのリクエスト
+  'outbox-dead-letter': {
+    keyPath: 'id'
+  },
+
+  // Background Sync API 未対応ブラウザで実行待ちの同期タグ（js/sync.js、sw/sync.js）
+  'pending-sync': {
+    keyPath: 'tag'
+  },
+
+  // 定期バックグラウンド同期の実行記録（sw/periodic-sync.js）
+  'periodic-sync-log': {
+    keyPath: 'id',
+    autoIncrement: true
+  },
+
+  // 統計値などの小さな値（key と value の組）
+  'meta': {
+    keyPath: 'key'
+  }
+};
+
+// 開いたデータベースの Promise（接続を使い回す）
+let idbDatabasePromise = null;
+
+/**
+ * データベースを開く（必要に応じてストアを作成する）
+ * @returns {Promise<IDBDatabase>} データベース接続
+ */
+function openDatabase() {
+  if (idbDatabasePromise) {
+    return idbDatabasePromise;
+  }
+
+  idbDatabasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+    // 初回作成時やバージョンアップ時に、存在しないストアとインデックスを作成
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      Object.entries(IDB_STORES).forEach(([storeName, definition]) => {
+        const store = db.objectStoreNames.contains(storeName)
+          ? request.transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, {
+            keyPath: definition.keyPath,
+            autoIncrement: Boolean(definition.autoIncrement)
+          });
+
+        Object.entries(definition.indexes || {}).forEach(([indexName, keyPath]) => {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath);
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // 別のタブや新しい Service Worker がバージョンを上げる場合は接続を閉じて譲る
+      db.onversionchange = () => {
+        db.close();
+        idbDatabasePromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      idbDatabasePromise = null;
+      reject(request.error);
+    };
+  });
+
+  return idbDatabasePromise;
+}
+
+/**
+ * ストアに対して1つの操作を行い、トランザクション完了まで待つ
+ * @param {string} storeName - オブジェクトストア名
+ * @param {IDBTransactionMode} mode - 'readonly' または 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - ストアに対する操作
+ * @returns {Promise<any>} 操作の結果
+ */
+async function idbTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * キーで1件取得する
+ * @param {string} storeName - オブジェクトストア名
+ * @param {IDBValidKey} key - 主キー
+ * @returns {Promise<any>} 値（存在しない場合は undefined）
+ */
+function idbGet(storeName, key) {
+  return idbTransaction(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * 全件（またはインデックスで絞り込んだ結果）を取得する
+ * @param {string} storeName - オブジェクトストア名
+ * @param {string} [indexName] - 使用するインデックス名
+ * @param {IDBValidKey|IDBKeyRange} [query] - インデックスの検索条件
+ * @returns {Promise<any[]>} 値の配列
+ */
+function idbGetAll(storeName, indexName, query) {
+  return idbTransaction(storeName, 'readonly', (store) => {
+    return indexName ? store.index(indexName).getAll(query) : store.getAll();
+  });
+}
+
+/**
+ * 値を保存する（同じキーがあれば上書き）
+ * @param {string} storeName - オブジェクトストア名
+ * @param {any} value - 保存する値
+ * @returns {Promise<IDBValidKey>} 保存した値のキー
+ */
+function idbPut(storeName, value) {
+  return idbTransaction(storeName, 'readwrite', (store) => store.put(value));
+}
+
+/**
+ * キーで1件削除する
+ * @param {string} storeName - オブジェクトストア名
+ * @param {IDBValidKey} key - 主キー
+ * @returns {Promise<void>}
+ */
+function idbDelete(storeName, key) {
+  return idbTransaction(storeName, 'readwrite', (store) => store.delete(key));
+}
@@ -146,7 +146,7 @@ function handleAppInstalled(event) {
   if (window.Notification && Notification.permission === 'granted') {
     new Notification('PWAインストール完了', {
       body: 'アプリがホーム画面に追加されました',
-      icon: '/icons/icon-192x192.png'
+      icon: resolveAppUrl(APP_PATHS.icon)
     });
   }
   
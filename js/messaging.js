@@ -0,0 +1,130 @@
+/**
+ * Service Worker とのメッセージ RPC（ページ側）
+ * MessageChannel を使ってコマンドを送信し、Service Worker からの返信を Promise で受け取ります。
+ * 各リクエストには相関ID（id）を付け、返信の id が一致することを確認します。
+ * 一定時間内に返信がない場合はタイムアウトとして reject します。
+ *
+ * Service Worker 側のハンドラは sw/messaging.js と sw.js で registerMessageHandler() されています。
+ * 主なコマンドは ServiceWorkerClient にラップされ、window.PWATest.sw から利用できます。
+ */
+
+/**
+ * メッセージ機能専用のデバッグログ関数
+ * [Message]プレフィックスでメッセージ関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logMessage(message) {
+  console.log(`[Message] ${message}`);
+}
+
+// 返信を待つ既定の時間（ミリ秒）
+const SW_MESSAGE_TIMEOUT = 10000;
+
+// 相関IDの連番
+let swMessageSequence = 0;
+
+/**
+ * メッセージの送信先となる Service Worker を取得する
+ * ページを制御している Service Worker、なければアクティブな Service Worker
+ * @returns {Promise<ServiceWorker>} 送信先の Service Worker
+ */
+async function getMessageTarget() {
+  if (!('serviceWorker' in navigator)) {
+    throw new Error('Service Worker がサポートされていません');
+  }
+
+  if (navigator.serviceWorker.controller) {
+    return navigator.serviceWorker.controller;
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  return registration.active;
+}
+
+/**
+ * Service Worker にコマンドを送信し、返信を待つ
+ * @param {string} type - コマンド名（'GET_VERSION' など）
+ * @param {Object} [payload] - コマンドの引数
+ * @param {Object} [options] - オプション
+ * @param {number} [options.timeout] - 返信を待つ時間（ミリ秒）
+ * @param {ServiceWorker} [options.worker] - 送信先（待機中の Service Worker など）。省略時はページを制御している Service Worker
+ * @returns {Promise<any>} Service Worker が返した結果
+ */
+async function sendMessageToServiceWorker(type, payload = {}, options = {}) {
+  const timeout = options.timeout || SW_MESSAGE_TIMEOUT;
+  const worker = options.worker || await getMessageTarget();
+  if (!worker) {
+    throw new Error('メッセージの送信先の Service Worker がありません');
+  }
+
+  const id = `${Date.now()}-${++swMessageSequence}`;
+  const channel = new MessageChannel();
+
+  return new Promise((resolve, reject) => {
+    const timerId = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error(`Service Worker の返信がタイムアウトしました (${type}, ${timeout}ms)`));
+    }, timeout);
+
+    channel.port1.onmessage = (event) => {
+      const reply = event.data || {};
+      if (reply.id !== id) {
+        logMessage(`相関IDが一致しない返信を無視: ${reply.id}`);
+        return;
+      }
+
+      clearTimeout(timerId);
+      channel.port1.close();
+
+      if (reply.ok) {
+        resolve(reply.result);
+      } else {
+        reject(new Error(`Service Worker でエラー (${type}): ${reply.error}`));
+      }
+    };
+
+    logMessage(`送信: ${type} (#${id})`);
+    worker.postMessage({ id, type, payload }, [channel.port2]);
+  });
+}
+
+/**
+ * Service Worker コマンドの Promise API
+ * window.PWATest.sw として公開される（app.js）
+ */
+const ServiceWorkerClient = {
+  // Service Worker のバージョン情報
+  getVersion: () => sendMessageToServiceWorker('GET_VERSION'),
+
+  // ページのバージョンを送り、Service Worker のバージョンと互換性の判定結果を受け取る
+  handshake: (version, worker) => sendMessageToServiceWorker('HANDSHAKE', { version }, { worker }),
+
+  // リリース情報（待機中の Service Worker を worker に指定して新しいバージョンの情報を取得する）
+  getReleaseInfo: (worker) => sendMessageToServiceWorker('GET_RELEASE_INFO', {}, { worker }),
+
+  // 各キャッシュのエントリ数
+  getCacheStats: () => sendMessageToServiceWorker('GET_CACHE_STATS'),
+
+  // キャッシュを削除（cacheName 省略時はプリキャッシュ以外の全て）
+  clearCache: (cacheName) => sendMessageToServiceWorker('CLEAR_CACHE', { cacheName }),
+
+  // ランタイムキャッシュを各ルートの上限 x ratio 件まで削減
+  pruneCaches: (ratio) => sendMessageToServiceWorker('PRUNE_CACHES', { ratio }),
+
+  // ランタイムキャッシュを条件付きリクエストで一括更新（件数が多いと時間がかかるため長めに待つ）
+  refreshCaches: () => sendMessageToServiceWorker('REFRESH_CACHES', {}, { timeout: 120000 }),
+
+  // キャッシュの1エントリをネットワークから取得し直す（キャッシュ可否と有効期限は Service Worker が適用する）
+  refetchEntry: (cacheName, url) => sendMessageToServiceWorker('REFETCH_ENTRY', { cacheName, url }),
+
+  // キャッシュされている URL の一覧（cacheName 省略時は全てのキャッシュ）
+  listCachedUrls: (cacheName) => sendMessageToServiceWorker('LIST_CACHED_URLS', { cacheName }),
+
+  // 同期タスクを今すぐ実行（同期には時間がかかる場合があるため長めに待つ）
+  runSync: (tag) => sendMessageToServiceWorker('RUN_SYNC', { tag }, { timeout: 60000 }),
+
+  // 任意のコマンドを送信
+  send: sendMessageToServiceWorker
+};
+
+logMessage('messaging.js ファイル読み込み完了');
@@ -0,0 +1,209 @@
+/**
+ * オフラインページ（offline.html）の処理
+ * Service Worker はネットワークとキャッシュの両方から取得できなかったページの代わりに
+ * offline.html を返します。このときアドレスバーの URL はユーザーが開こうとしたページのままです。
+ *
+ * 主な機能:
+ * - 開こうとしたページの URL を表示し、接続が戻ったらそのページに戻る
+ * - Cache Storage に実際に保存されているページとリソースをリンク付きで一覧表示する
+ * - 到達性チェック（js/connectivity.js）の結果と次回の確認時刻を表示する
+ *   再確認の間隔は connectivity.js が指数バックオフで空けるため、リロードを繰り返すことはない
+ */
+
+/**
+ * オフラインページ専用のデバッグログ関数
+ * [Offline]プレフィックスでオフラインページ関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logOffline(message) {
+  console.log(`[Offline] ${message}`);
+}
+
+/**
+ * オフラインページのDOM要素への参照
+ */
+const offlineElements = {};
+
+/**
+ * 次回の確認までのカウントダウン表示用タイマー
+ */
+let offlineCountdownTimerId = null;
+
+/**
+ * オフラインページの初期化処理
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  offlineElements.requestedUrl = document.getElementById('requestedUrl');         // 開こうとしたページの URL
+  offlineElements.retryBtn = document.getElementById('retryBtn');                 // 再試行ボタン
+  offlineElements.connectivity = document.getElementById('connectivityStatus');   // 接続状態の表示
+  offlineElements.pages = document.getElementById('cachedPages');                 // キャッシュ済みページのリスト
+  offlineElements.resources = document.getElementById('cachedResources');         // キャッシュ済みリソースのリスト
+  offlineElements.resourceCount = document.getElementById('cachedResourceCount'); // キャッシュ済みリソースの件数
+
+  const requestedUrl = getRequestedUrl();
+  offlineElements.requestedUrl.textContent = requestedUrl;
+  offlineElements.retryBtn.addEventListener('click', retryRequestedPage);
+
+  window.addEventListener('connectivitychange', handleOfflineConnectivityChange);
+
+  renderCachedContent();
+  logOffline(`オフラインページを表示: ${requestedUrl}`);
+});
+
+/**
+ * ユーザーが開こうとしたページの URL
+ * Service Worker のフォールバックとして表示された場合は現在の URL、
+ * offline.html を直接開いた場合は ?return= の値（なければアプリのトップページ）
+ * @returns {string} 戻り先の URL
+ */
+function getRequestedUrl() {
+  const returnUrl = new URLSearchParams(window.location.search).get('return');
+  if (returnUrl && isAppUrl(new URL(returnUrl, APP_BASE_URL).href)) {
+    return new URL(returnUrl, APP_BASE_URL).href;
+  }
+
+  if (window.location.href.startsWith(resolveAppUrl(APP_PATHS.offline))) {
+    return APP_BASE_URL;
+  }
+
+  return window.location.href;
+}
+
+/**
+ * 開こうとしたページを再読み込みする
+ * まず到達性を確認し、通信できない場合はページを移動せずに状態だけ表示する
+ */
+async function retryRequestedPage() {
+  offlineElements.retryBtn.disabled = true;
+  offlineElements.connectivity.textContent = '接続を確認中...';
+
+  const state = await checkConnectivity();
+  offlineElements.retryBtn.disabled = false;
+
+  if (state.status !== 'offline') {
+    window.location.replace(getRequestedUrl());
+  }
+}
+
+/**
+ * 到達性チェックの結果を表示し、接続が戻ったら開こうとしたページに戻る
+ * 最初からオンラインと判定された場合（サーバーの応答が遅くてオフラインページになった場合など）は
+ * 自動では移動せず、再試行ボタンで戻れることを表示する
+ * @param {CustomEvent} event - connectivitychange イベント
+ */
+function handleOfflineConnectivityChange(event) {
+  const state = event.detail;
+
+  if (state.status !== 'offline' && state.previousStatus === 'offline') {
+    logOffline('ネットワーク復帰を検出 - 開こうとしたページに戻ります');
+    window.location.replace(getRequestedUrl());
+    return;
+  }
+
+  clearInterval(offlineCountdownTimerId);
+
+  if (state.status !== 'offline') {
+    offlineElements.connectivity.textContent = `接続できています${state.latency !== null ? ` (${state.latency}ms)` : ''}。再試行してください。`;
+    return;
+  }
+
+  // 次回の確認までの秒数を表示
+  const updateCountdown = () => {
+    const seconds = Math.max(Math.ceil((state.nextCheckAt - Date.now()) / 1000), 0);
+    offlineElements.connectivity.textContent = `オフライン - ${seconds} 秒後に接続を再確認します`;
+  };
+  updateCountdown();
+  offlineCountdownTimerId = setInterval(updateCountdown, 1000);
+}
+
+/**
+ * キャッシュのキーを表示用の URL に変換する
+ * プリキャッシュのキー（リビジョンのクエリ付き）はクエリを取り除き、index.html はディレクトリの URL にする
+ * @param {Request} request - キャッシュのキー
+ * @returns {string} 表示・リンク用の URL
+ */
+function toDisplayUrl(request) {
+  const url = new URL(request.url);
+  url.searchParams.delete(PRECACHE_REVISION_PARAM);
+
+  if (url.pathname.endsWith('/index.html')) {
+    url.pathname = url.pathname.slice(0, -'index.html'.length);
+  }
+
+  return url.href;
+}
+
+/**
+ * Cache Storage に保存されているページとリソースを集める
+ * @returns {Promise<{pages: string[], resources: string[]}>} 重複を除いた URL の一覧
+ */
+async function collectCachedContent() {
+  const pages = new Set();
+  const resources = new Set();
+  const offlineUrl = resolveAppUrl(APP_PATHS.offline);
+
+  for (const cacheName of await caches.keys()) {
+    const cache = await caches.open(cacheName);
+
+    for (const request of await cache.keys()) {
+      const url = toDisplayUrl(request);
+      if (url === offlineUrl) continue;
+
+      const response = await cache.match(request);
+      const contentType = response ? response.headers.get('Content-Type') || '' : '';
+      const isPage = contentType.includes('text/html') || url.endsWith('/') || url.endsWith('.html');
+
+      (isPage ? pages : resources).add(url);
+    }
+  }
+
+  return {
+    pages: [...pages].sort(),
+    resources: [...resources].sort()
+  };
+}
+
+/**
+ * URL のリンクを含むリスト項目を作成する
+ * @param {string} url - リンク先
+ * @returns {HTMLLIElement} リスト項目
+ */
+function createLinkItem(url) {
+  const item = document.createElement('li');
+  const link = document.createElement('a');
+  link.href = url;
+  link.textContent = url.startsWith(APP_BASE_URL) ? url.slice(APP_BASE_URL.length) || './' : url;
+  item.appendChild(link);
+  return item;
+}
+
+/**
+ * キャッシュ済みのページとリソースを表示する
+ */
+async function renderCachedContent() {
+  if (!('caches' in window)) {
+    offlineElements.pages.textContent = 'このブラウザではキャッシュを確認できません';
+    return;
+  }
+
+  try {
+    const { pages, resources } = await collectCachedContent();
+
+    offlineElements.pages.replaceChildren(...pages.map(createLinkItem));
+    if (pages.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'キャッシュ済みのページはありません';
+      offlineElements.pages.appendChild(item);
+    }
+
+    offlineElements.resources.replaceChildren(...resources.map(createLinkItem));
+    offlineElements.resourceCount.textContent = resources.length;
+
+    logOffline(`キャッシュ済み: ページ ${pages.length} 件 / リソース ${resources.length} 件`);
+  } catch (error) {
+    logOffline(`キャッシュの一覧取得エラー: ${error}`);
+    offlineElements.pages.textContent = 'キャッシュの一覧を取得できませんでした';
+  }
+}
+
+logOffline('offline.js ファイル読み込み完了');
@@ -0,0 +1,210 @@
+/**
+ * プッシュサーバー（server/push-server.js）の API クライアント
+ * ページ（index.html の script タグ）と Service Worker（sw.js の importScripts）の
+ * 両方から読み込まれ、サブスクリプションの登録と削除を同じ手順で行います。
+ * 送信先は APP_PATHS.pushConfig / APP_PATHS.pushSubscribe / APP_PATHS.pushUnsubscribe で設定します（js/config.js）。
+ *
+ * VAPID 公開鍵はサーバーの設定（APP_PATHS.pushConfig）から取得し、parseVapidPublicKey() で
+ * pushManager.subscribe() に渡せる形式（65バイトの非圧縮 P-256 公開鍵）に変換・検証します。
+ *
+ * 送信に失敗した場合は指数バックオフで再試行します。
+ * - 再試行する:   ネットワークエラー、タイムアウト、5xx・408・429
+ * - 再試行しない: それ以外の 4xx（送り直しても結果が変わらない）
+ * 最後まで失敗した場合は Error を投げます。error.status は最後の HTTP ステータス（ネットワークエラーの場合は null）です。
+ *
+ * ページからの送信は Service Worker のアウトボックス（sw/outbox.js）を経由するため、
+ * オフラインの場合は 202（queued: true）が返り、接続が戻ってから再送されます。
+ */
+
+/**
+ * API 呼び出しの設定
+ */
+const PUSH_API_CONFIG = {
+  maxAttempts: 3,         // 最初の送信を含めた最大試行回数
+  retryBaseDelayMs: 1000, // 再試行までの待ち時間の初期値（再試行するごとに2倍）
+  timeoutMs: 10000        // 1回の送信で応答を待つ最大時間
+};
+
+/**
+ * 再試行すれば成功する可能性があるステータスか
+ * @param {number} status - HTTP ステータス
+ * @returns {boolean} 再試行する場合は true
+ */
+function isRetryablePushApiStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * プッシュサーバーへのリクエストを作成する
+ * @param {string} path - APP_PATHS の値などの相対パス（または絶対URL）
+ * @param {string} method - HTTP メソッド
+ * @param {Object} [body] - JSON で送るボディ（GET の場合は省略）
+ * @returns {Request} リクエスト
+ */
+function createPushApiRequest(path, method, body) {
+  if (body === undefined) {
+    return new Request(resolveAppUrl(path), { method, credentials: 'same-origin' });
+  }
+
+  return new Request(resolveAppUrl(path), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    credentials: 'same-origin'
+  });
+}
+
+/**
+ * プッシュサーバーにリクエストを送信する（失敗した場合は再試行する）
+ * @param {string} path - APP_PATHS の値などの相対パス（または絶対URL）
+ * @param {string} method - HTTP メソッド
+ * @param {Object} [body] - JSON で送るボディ（GET の場合は省略）
+ * @returns {Promise<{status: number, queued: boolean, attempts: number, result: Object}>} 成功した応答
+ */
+async function requestPushApi(path, method, body) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= PUSH_API_CONFIG.maxAttempts; attempt++) {
+    if (attempt > 1) {
+      const delay = PUSH_API_CONFIG.retryBaseDelayMs * 2 ** (attempt - 2);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), PUSH_API_CONFIG.timeoutMs);
+
+    try {
+      const response = await fetch(createPushApiRequest(path, method, body), { signal: controller.signal });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        return { status: response.status, queued: Boolean(result.queued), attempts: attempt, result };
+      }
+
+      lastError = new Error(result.error || `HTTP ${response.status}`);
+      lastError.status = response.status;
+      if (!isRetryablePushApiStatus(response.status)) {
+        break;
+      }
+    } catch (error) {
+      lastError = new Error(error.name === 'AbortError' ? 'タイムアウト' : error.message);
+      lastError.status = null;
+    } finally {
+      clearTimeout(timerId);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * 登録リクエストのボディを作成する
+ * @param {PushSubscription} subscription - 登録するサブスクリプション
+ * @param {string|null} [oldEndpoint] - 置き換える古いサブスクリプションのエンドポイント（サーバーから削除される）
+ * @returns {Object} PushSubscription.toJSON() に oldEndpoint を加えたもの
+ */
+function createPushSubscriptionBody(subscription, oldEndpoint = null) {
+  const body = subscription.toJSON();
+  if (oldEndpoint && oldEndpoint !== body.endpoint) {
+    body.oldEndpoint = oldEndpoint;
+  }
+  return body;
+}
+
+/**
+ * サブスクリプションをプッシュサーバーに登録する
+ * @param {PushSubscription} subscription - 登録するサブスクリプション
+ * @param {Object} [options] - オプション
+ * @param {string|null} [options.oldEndpoint] - 置き換える古いサブスクリプションのエンドポイント
+ * @returns {Promise<Object>} requestPushApi() の結果
+ */
+function registerPushSubscription(subscription, { oldEndpoint = null } = {}) {
+  return requestPushApi(APP_PATHS.pushSubscribe, 'POST', createPushSubscriptionBody(subscription, oldEndpoint));
+}
+
+/**
+ * サブスクリプションをプッシュサーバーから削除する
+ * サーバーに既にない場合（404）も削除できたものとして扱う
+ * @param {string} endpoint - 削除するサブスクリプションのエンドポイント
+ * @returns {Promise<Object>} requestPushApi() の結果
+ */
+async function unregisterPushSubscription(endpoint) {
+  try {
+    return await requestPushApi(APP_PATHS.pushUnsubscribe, 'DELETE', { endpoint });
+  } catch (error) {
+    if (error.status === 404) {
+      return { status: 404, queued: false, attempts: 1, result: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * VAPID 公開鍵を pushManager.subscribe() の applicationServerKey に渡せる形式に変換する
+ * base64url（標準の base64 も可）の文字列をデコードし、65バイトの非圧縮形式の P-256 公開鍵であることを確認する
+ * @param {string} key - VAPID 公開鍵
+ * @returns {Promise<Uint8Array>} 公開鍵のバイト列
+ * @throws {Error} 鍵の形式が不正な場合（message に理由）
+ */
+async function parseVapidPublicKey(key) {
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new Error('VAPID 公開鍵が空です');
+  }
+
+  const base64 = key.trim().replace(/=+$/, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]+$/.test(base64) || base64.length % 4 === 1) {
+    throw new Error('VAPID 公開鍵が base64url 形式ではありません');
+  }
+
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+
+  if (bytes.length === 32) {
+    throw new Error('VAPID 公開鍵の長さが32バイトです（秘密鍵を指定していませんか？）');
+  }
+  if (bytes.length !== 65) {
+    throw new Error(`VAPID 公開鍵は65バイトである必要があります（${bytes.length} バイト）`);
+  }
+  if (bytes[0] !== 0x04) {
+    throw new Error('VAPID 公開鍵が非圧縮形式（先頭が 0x04）ではありません');
+  }
+
+  // 長さと形式が正しくても P-256 曲線上の点でなければ subscribe() が失敗する
+  try {
+    await crypto.subtle.importKey('raw', bytes, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  } catch (error) {
+    throw new Error('VAPID 公開鍵が P-256 の公開鍵ではありません');
+  }
+
+  return bytes;
+}
+
+/**
+ * サブスクリプションが指定した VAPID 公開鍵で作成されたかどうか
+ * @param {PushSubscription} subscription - 確認するサブスクリプション
+ * @param {Uint8Array} applicationServerKey - parseVapidPublicKey() の結果
+ * @returns {boolean} 同じ鍵の場合は true
+ */
+function isSameApplicationServerKey(subscription, applicationServerKey) {
+  const currentKey = subscription.options && subscription.options.applicationServerKey;
+  if (!currentKey) {
+    return false;
+  }
+
+  const currentBytes = new Uint8Array(currentKey);
+  return currentBytes.length === applicationServerKey.length &&
+    currentBytes.every((byte, index) => byte === applicationServerKey[index]);
+}
+
+/**
+ * プッシュサーバーの設定を取得する
+ * @returns {Promise<{vapidPublicKey: string, applicationServerKey: Uint8Array}>} 設定と検証済みの公開鍵
+ * @throws {Error} 取得できない場合、または公開鍵が不正な場合
+ */
+async function fetchPushConfig() {
+  const { result } = await requestPushApi(APP_PATHS.pushConfig, 'GET');
+  return {
+    ...result,
+    applicationServerKey: await parseVapidPublicKey(result.vapidPublicKey)
+  };
+}
@@ -6,13 +6,16 @@
  * 主な機能:
  * - 通知許可の取得と管理
  * - Push Manager サブスクリプションの作成と管理
- * - VAPID キーを使用したサーバー認証
+ * - サブスクリプションのプッシュサーバーへの登録・削除（js/push-api.js）
+ * - VAPID キーを使用したサーバー認証（公開鍵はプッシュサーバーの設定から取得）
+ * - VAPID キーが変わった場合の自動再サブスクライブ
+ * - 通知のアクション（既読・返信など）の結果表示
  * - ローカル通知のテスト機能
  * - iOS 16.4+ と Android のクロスプラットフォーム対応
  * 
  * 重要な注意事項:
- * - 実際のプッシュ通知を送信するには別途サーバーサイドの実装が必要
- * - VAPID キーペアの生成と管理が必要
+ * - 実際のプッシュ通知の送信にはサーバーが必要（テスト用は server/push-server.js）
+ * - VAPID キーペアはサーバー側で生成・管理する（公開鍵だけを APP_PATHS.pushConfig から受け取る）
  * - iOS では PWA としてインストールされた場合のみ動作（iOS 16.4+）
  */
 
@@ -42,10 +45,12 @@ const PushState = {
   // これにはendpoint、keysなどの情報が含まれ、サーバーに送信される
   subscription: null,
   
-  // VAPID（Voluntary Application Server Identification）公開キー
-  // プッシュサーバーの認証に使用。実際の実装では必須
-  // 本テストでは null でも動作するが、本番環境では要設定
-  vapidPublicKey: null
+  // VAPID（Voluntary Application Server Identification）公開キー（base64url）
+  // プッシュサーバーの認証に使用。起動時にプッシュサーバーの設定から読み込まれる
+  vapidPublicKey: null,
+  
+  // vapidPublicKey をデコード・検証したバイト列（pushManager.subscribe() の applicationServerKey）
+  applicationServerKey: null
 };
 
 /**
@@ -77,9 +82,9 @@ document.addEventListener('DOMContentLoaded', function() {
   // STEP3: ボタンクリックなどのイベントリスナーを設定
   setupPushEventListeners();
   
-  // STEP4: 既に作成済みのサブスクリプションがあるかチェック
-  // ページリロード時に既存の設定を復元するため
-  checkExistingSubscription();
+  // STEP4: プッシュサーバーから VAPID 公開鍵を読み込み、既に作成済みのサブスクリプションがあるかチェック
+  // ページリロード時に既存の設定を復元し、鍵が変わっていれば作り直すため
+  loadVapidPublicKey().then(checkExistingSubscription);
   
   logPush('プッシュ通知機能初期化完了');
 });
@@ -186,6 +191,12 @@ async function checkExistingSubscription() {
       logPush('既存のプッシュサブスクリプションを発見');
       PushState.subscription = subscription;
       logPush(`サブスクリプション詳細: ${JSON.stringify(subscription.toJSON(), null, 2)}`);
+      
+      // サーバーの VAPID 鍵が変わっていると、このサブスクリプションには送信できない
+      if (PushState.applicationServerKey && !isSameApplicationServerKey(subscription, PushState.applicationServerKey)) {
+        logPush('⚠️ サブスクリプションの VAPID 公開鍵がサーバーの鍵と一致しません - 再サブスクライブします');
+        await resubscribeWithCurrentKey(subscription);
+      }
     } else {
       logPush('既存のプッシュサブスクリプションなし');
     }
@@ -243,31 +254,30 @@ async function subscribeToPush() {
     
     const registration = await navigator.serviceWorker.ready;
     
-    // VAPID キー設定（実際の実装では環境変数から取得）
-    // これは公開鍵で、実際のプッシュサーバーとペアになる秘密鍵が必要
-    const applicationServerKey = PushState.vapidPublicKey;
-    
-    const subscribeOptions = {
-      userVisibleOnly: true, // ユーザーに見える通知のみ許可
-      applicationServerKey: applicationServerKey // 実際の VAPID 公開鍵が必要
-    };
-    
-    // VAPID キーがない場合は簡易版で作成
-    if (!applicationServerKey) {
-      logPush('VAPID キーが設定されていません - 簡易サブスクリプションを作成');
-      delete subscribeOptions.applicationServerKey;
+    // VAPID 公開鍵はプッシュサーバーとペアになる秘密鍵で署名を検証するために必要
+    // 起動時に読み込めなかった場合（オフラインなど）はここで再取得する
+    if (!PushState.applicationServerKey) {
+      await loadVapidPublicKey();
+    }
+    if (!PushState.applicationServerKey) {
+      logPush('VAPID 公開鍵がないためサブスクリプションを作成できません');
+      updateNotifyStatus('エラー: VAPID 公開鍵を取得できません');
+      return;
     }
     
-    const subscription = await registration.pushManager.subscribe(subscribeOptions);
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true, // ユーザーに見える通知のみ許可
+      applicationServerKey: PushState.applicationServerKey
+    });
     
     PushState.subscription = subscription;
     logPush('プッシュサブスクリプション作成完了');
     logPush(`サブスクリプション詳細: ${JSON.stringify(subscription.toJSON(), null, 2)}`);
     
-    // 実際のアプリケーションでは、ここでサブスクリプション情報をサーバーに送信
-    await sendSubscriptionToServer(subscription);
+    // サブスクリプション情報をプッシュサーバーに登録
+    const registered = await sendSubscriptionToServer(subscription);
     
-    updateNotifyStatus('プッシュ通知有効化完了');
+    updateNotifyStatus(registered ? 'プッシュ通知有効化完了' : 'プッシュ通知有効化完了（サーバー登録失敗）');
     
   } catch (error) {
     logPush(`プッシュサブスクリプション作成エラー: ${error}`);
@@ -284,28 +294,121 @@ async function subscribeToPush() {
   }
 }
 
-// サブスクリプション情報をサーバーに送信（模擬実装）
-async function sendSubscriptionToServer(subscription) {
-  logPush('サブスクリプション情報をサーバーに送信中...');
+/**
+ * 現在の VAPID 公開鍵でサブスクリプションを作り直す
+ * 古いサブスクリプションを解除してから作成し、サーバーでも古いエンドポイントを置き換える
+ * 解除後に作成できなかった場合（オフライン、通知の許可の取り消しなど）は、サーバーからも古いエンドポイントを削除する
+ * @param {PushSubscription} oldSubscription - 鍵が一致しないサブスクリプション
+ */
+async function resubscribeWithCurrentKey(oldSubscription) {
+  let unsubscribed = false;
   
-  // 実際の実装では、ここで自分のプッシュサーバーに POST リクエストを送信
-  // const response = await fetch('/api/push/subscribe', {
-  //   method: 'POST',
-  //   headers: {
-  //     'Content-Type': 'application/json',
-  //   },
-  //   body: JSON.stringify(subscription.toJSON())
-  // });
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    
+    // 同じ Service Worker 登録では異なる鍵のサブスクリプションを作成できないため、先に解除する
+    await oldSubscription.unsubscribe();
+    unsubscribed = true;
+    PushState.subscription = null;
+    
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: PushState.applicationServerKey
+    });
+    PushState.subscription = subscription;
+    logPush(`新しい VAPID 公開鍵で再サブスクライブしました: ${subscription.endpoint}`);
+    
+    await sendSubscriptionToServer(subscription, oldSubscription.endpoint);
+    
+  } catch (error) {
+    logPush(`再サブスクライブエラー: ${error}`);
+    
+    // 解除済みの古いエンドポイントには届かないため、サーバーに残さない
+    if (unsubscribed) {
+      await removeSubscriptionFromServer(oldSubscription.endpoint);
+    }
+  }
+  
+  updatePushUI();
+}
+
+/**
+ * 通知のクリック・アクションの結果を表示する（sw/notification-click.js）
+ * 「既読にする」「返信」などはウィンドウを開かずに Service Worker で実行されるため、結果はここで確認する
+ * @param {Object} message - NOTIFICATION_ACTION メッセージ
+ */
+function handleNotificationAction(message) {
+  const label = message.action || '本文';
   
-  // 模擬的にローカルストレージに保存
+  if (message.state === 'failure') {
+    logPush(`通知アクション失敗 (${label}): ${message.error}`);
+    updateNotifyStatus(`通知アクション「${label}」失敗: ${message.error}`);
+    return;
+  }
+  
+  const result = message.result || {};
+  logPush(`通知アクション完了 (${label}): ${JSON.stringify(result)}`);
+  updateNotifyStatus(`通知アクション「${label}」完了${result.queued ? '（オフラインのため送信待ち）' : ''}`);
+}
+
+/**
+ * サブスクリプション情報をプッシュサーバーに登録する
+ * 失敗した場合は js/push-api.js が再試行し、オフラインの場合はアウトボックスに保存されて後で送信される
+ * @param {PushSubscription} subscription - 登録するサブスクリプション
+ * @param {string|null} [oldEndpoint] - 置き換える古いサブスクリプションのエンドポイント
+ * @returns {Promise<boolean>} 登録できた（または送信待ちになった）場合は true
+ */
+async function sendSubscriptionToServer(subscription, oldEndpoint = null) {
+  logPush('サブスクリプション情報をサーバーに送信中...');
+  
+  try {
+    const { status, queued, attempts } = await registerPushSubscription(subscription, { oldEndpoint });
+    
+    if (queued) {
+      logPush('オフラインのためサブスクリプションの登録を保留 - 接続が戻ったら送信されます');
+    } else {
+      logPush(`サーバー登録完了: HTTP ${status} (${attempts} 回目)`);
+    }
+    return true;
+    
+  } catch (error) {
+    logPush(`サーバー登録エラー: ${error.message}${error.status ? ` (HTTP ${error.status})` : ''}`);
+    return false;
+  }
+}
+
+/**
+ * サブスクリプションをプッシュサーバーから削除する
+ * 失敗してもブラウザ側の解除は済んでいるため、サーバーは次の送信時に 404 / 410 を受けて削除する
+ * @param {string} endpoint - 削除するサブスクリプションのエンドポイント
+ * @returns {Promise<boolean>} 削除できた（または送信待ちになった）場合は true
+ */
+async function removeSubscriptionFromServer(endpoint) {
   try {
-    localStorage.setItem('push-subscription', JSON.stringify(subscription.toJSON()));
-    logPush('サブスクリプション情報をローカルストレージに保存しました');
+    const { status, queued } = await unregisterPushSubscription(endpoint);
+    logPush(queued ? 'オフラインのためサーバーからの削除を保留' : `サーバーから削除完了: HTTP ${status}`);
+    return true;
+    
   } catch (error) {
-    logPush(`ローカルストレージ保存エラー: ${error}`);
+    logPush(`サーバーからの削除エラー: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Service Worker がサブスクリプションを更新した時の処理（sw/push-subscription.js）
+ * @param {Object} message - PUSH_SUBSCRIPTION_CHANGED メッセージ
+ */
+function handleSubscriptionChanged(message) {
+  if (message.registered) {
+    logPush(`サブスクリプションが更新され、サーバーに登録されました: ${message.endpoint}`);
+  } else if (message.queued) {
+    logPush(`サブスクリプションが更新されました - サーバーへの登録は接続が戻ってから送信されます: ${message.endpoint}`);
+  } else {
+    logPush(`サブスクリプションの更新に失敗: ${message.error}`);
   }
   
-  logPush('サーバー送信完了（模擬）');
+  checkExistingSubscription();
 }
 
 // テスト通知の送信
@@ -327,8 +430,8 @@ async function handleTestNotification() {
     const notificationTitle = 'PWAテスト通知';
     const notificationOptions = {
       body: 'これはテスト通知です。PWAが正常に動作しています。',
-      icon: '/icons/icon-192x192.png',
-      badge: '/icons/icon-72x72.png',
+      icon: resolveAppUrl(APP_PATHS.icon),
+      badge: resolveAppUrl(APP_PATHS.badge),
       vibrate: [200, 100, 200],
       data: {
         type: 'test',
@@ -338,12 +441,12 @@ async function handleTestNotification() {
         {
           action: 'open',
           title: '開く',
-          icon: '/icons/icon-192x192.png'
+          icon: resolveAppUrl(APP_PATHS.icon)
         },
         {
           action: 'close',
           title: '閉じる',
-          icon: '/icons/icon-192x192.png'
+          icon: resolveAppUrl(APP_PATHS.icon)
         }
       ],
       requireInteraction: false, // 自動的に消える
@@ -432,17 +535,15 @@ async function unsubscribeFromPush() {
   try {
     logPush('プッシュサブスクリプション解除開始');
     
+    const endpoint = PushState.subscription.endpoint;
     const successful = await PushState.subscription.unsubscribe();
     
     if (successful) {
       logPush('プッシュサブスクリプション解除完了');
       PushState.subscription = null;
       
-      // ローカルストレージからも削除
-      localStorage.removeItem('push-subscription');
-      
-      // 実際の実装では、サーバーからもサブスクリプションを削除
-      // await removeSubscriptionFromServer();
+      // サーバーからもサブスクリプションを削除
+      await removeSubscriptionFromServer(endpoint);
       
       updatePushUI();
       return true;
@@ -477,10 +578,47 @@ function getPushInfo() {
   return info;
 }
 
-// VAPID キーの設定（実際のアプリケーションで使用）
-function setVapidPublicKey(key) {
-  PushState.vapidPublicKey = key;
-  logPush(`VAPID 公開鍵を設定: ${key.substring(0, 20)}...`);
+/**
+ * VAPID 公開鍵を設定する
+ * 形式が不正な鍵は設定せず、理由を含むエラーを投げる
+ * 既存のサブスクリプションと鍵が異なる場合は再サブスクライブする
+ * @param {string} key - base64url 形式の VAPID 公開鍵
+ * @returns {Promise<Uint8Array>} デコードした公開鍵
+ */
+async function setVapidPublicKey(key) {
+  let applicationServerKey;
+  try {
+    applicationServerKey = await parseVapidPublicKey(key);
+  } catch (error) {
+    logPush(`VAPID 公開鍵が不正です: ${error.message}`);
+    throw error;
+  }
+  
+  PushState.vapidPublicKey = key.trim();
+  PushState.applicationServerKey = applicationServerKey;
+  logPush(`VAPID 公開鍵を設定: ${PushState.vapidPublicKey.substring(0, 20)}...`);
+  
+  if (PushState.subscription && !isSameApplicationServerKey(PushState.subscription, applicationServerKey)) {
+    logPush('VAPID 公開鍵が変わったため再サブスクライブします');
+    await resubscribeWithCurrentKey(PushState.subscription);
+    updatePushUI();
+  }
+  return applicationServerKey;
+}
+
+/**
+ * プッシュサーバーの設定から VAPID 公開鍵を読み込む
+ * 取得できない場合はログに残し、サブスクリプション作成時に再試行する
+ */
+async function loadVapidPublicKey() {
+  if (!PushState.isSupported) return;
+  
+  try {
+    const config = await fetchPushConfig();
+    await setVapidPublicKey(config.vapidPublicKey);
+  } catch (error) {
+    logPush(`VAPID 公開鍵の読み込みエラー: ${error.message}`);
+  }
 }
 
 // エクスポート（デバッグ用）
@@ -488,7 +626,10 @@ window.PWAPush = {
   getState: () => PushState,
   getPushInfo,
   unsubscribeFromPush,
+  handleSubscriptionChanged,
+  handleNotificationAction,
   setVapidPublicKey,
+  loadVapidPublicKey,
   handleTestNotification
 };
 
@@ -0,0 +1,254 @@
+/**
+ * ストレージ使用量の監視と永続ストレージの要求
+ * navigator.storage.estimate() でオリジン全体の使用量と上限を取得し、
+ * Cache Storage と IndexedDB の内訳をデバッグ情報セクションに表示します。
+ * 内訳は estimate() の usageDetails から取得し、返さないブラウザでは「内訳不明」と表示します。
+ * （キャッシュの中身を全て読んで計測すると重く、opaque レスポンスのサイズも分からないため）
+ *
+ * 初回の確認は Service Worker の登録後に app.js から行います（使用量が多い場合にキャッシュ削減を要求できるように）。
+ * その後はページが再表示されるたびに確認し直します。
+ *
+ * 使用量が上限の STORAGE_WARNING_RATIO を超えた場合:
+ * - ページ上部に警告バナーを表示する
+ * - Service Worker に PRUNE_CACHES を送り、ランタイムキャッシュを削減させる（sw/expiration.js）
+ *
+ * また navigator.storage.persist() で、ストレージ不足時にブラウザが
+ * このオリジンのデータを削除しないよう永続化を要求できます。
+ *
+ * 最新の結果は AppState.storage に保存され、getAppInfo() の storage として取得できます。
+ */
+
+/**
+ * ストレージ機能専用のデバッグログ関数
+ * [Storage]プレフィックスでストレージ関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logStorage(message) {
+  console.log(`[Storage] ${message}`);
+}
+
+/**
+ * ストレージ監視の設定
+ */
+const STORAGE_WARNING_RATIO = 0.8; // 上限に対する使用率がこの値以上で警告・キャッシュ削減
+const STORAGE_PRUNE_RATIO = 0.5;   // 削減時は各ルートの maxEntries をこの割合まで減らす
+
+/**
+ * ストレージ表示用のDOM要素への参照
+ */
+const storageElements = {};
+
+/**
+ * キャッシュ削減の実行中フラグ（重複して削減を要求しないため）
+ */
+let storagePruning = false;
+
+/**
+ * ストレージ監視の初期化処理
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  storageElements.usage = document.getElementById('storageUsage');         // 使用量表示用スパン
+  storageElements.breakdown = document.getElementById('storageBreakdown'); // 内訳表示用スパン
+  storageElements.persisted = document.getElementById('storagePersisted'); // 永続化状態表示用スパン
+  storageElements.persistBtn = document.getElementById('persistBtn');      // 永続化リクエストボタン
+  storageElements.banner = document.getElementById('storageBanner');       // 警告バナー
+  storageElements.bannerText = document.getElementById('storageBannerText');
+  storageElements.bannerCloseBtn = document.getElementById('storageBannerCloseBtn');
+
+  if (!isStorageEstimateSupported()) {
+    logStorage('StorageManager API はこのブラウザでサポートされていません');
+    if (storageElements.usage) {
+      storageElements.usage.textContent = '未対応';
+    }
+    if (storageElements.persistBtn) {
+      storageElements.persistBtn.disabled = true;
+    }
+    return;
+  }
+
+  if (storageElements.persistBtn) {
+    storageElements.persistBtn.addEventListener('click', requestPersistentStorage);
+  }
+  if (storageElements.bannerCloseBtn) {
+    storageElements.bannerCloseBtn.addEventListener('click', hideStorageBanner);
+  }
+
+  // ページが再表示された時に使用量を確認し直す
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+      checkStorage();
+    }
+  });
+});
+
+/**
+ * StorageManager API（estimate()）に対応しているか
+ * @returns {boolean} 対応している場合は true
+ */
+function isStorageEstimateSupported() {
+  return 'storage' in navigator && Boolean(navigator.storage.estimate);
+}
+
+/**
+ * ストレージの使用量・上限・内訳・永続化状態を取得する
+ * 内訳は usageDetails がある場合のみ取得でき、ない場合の caches と indexedDB は null
+ * @returns {Promise<Object>} { usage, quota, ratio, caches, indexedDB, persisted, warning }
+ */
+async function estimateStorage() {
+  const estimate = await navigator.storage.estimate();
+  const usage = estimate.usage || 0;
+  const quota = estimate.quota || 0;
+  const details = estimate.usageDetails;
+
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  const ratio = quota > 0 ? usage / quota : 0;
+
+  return {
+    usage,
+    quota,
+    ratio,
+    caches: details ? details.caches || 0 : null,
+    indexedDB: details ? details.indexedDB || 0 : null,
+    persisted,
+    warning: ratio >= STORAGE_WARNING_RATIO
+  };
+}
+
+/**
+ * ストレージ使用量を確認し、表示を更新する
+ * 警告しきい値を超えていればバナーを表示してキャッシュを削減する
+ * @returns {Promise<Object|null>} estimateStorage() の結果、失敗時は null
+ */
+async function checkStorage() {
+  if (!isStorageEstimateSupported()) return null;
+
+  try {
+    const info = await estimateStorage();
+    AppState.storage = info;
+    updateStorageUI(info);
+
+    logStorage(`使用量: ${formatBytes(info.usage)} / ${formatBytes(info.quota)} (${(info.ratio * 100).toFixed(1)}%)`);
+
+    if (info.warning) {
+      showStorageBanner(info);
+      await pruneForStorage();
+    } else {
+      hideStorageBanner();
+    }
+
+    return info;
+  } catch (error) {
+    logStorage(`ストレージ使用量の取得エラー: ${error}`);
+    if (storageElements.usage) {
+      storageElements.usage.textContent = '取得エラー';
+      storageElements.usage.style.color = 'red';
+    }
+    return null;
+  }
+}
+
+/**
+ * Service Worker にランタイムキャッシュの削減を要求し、使用量を確認し直す
+ */
+async function pruneForStorage() {
+  if (storagePruning || !AppState.serviceWorkerReady) return;
+
+  storagePruning = true;
+  try {
+    const { evicted } = await ServiceWorkerClient.pruneCaches(STORAGE_PRUNE_RATIO);
+    logStorage(`ストレージ使用量が多いためキャッシュを削減: ${evicted} 件削除`);
+
+    const info = await estimateStorage();
+    AppState.storage = info;
+    updateStorageUI(info);
+    if (info.warning) {
+      showStorageBanner(info);
+    }
+  } catch (error) {
+    logStorage(`キャッシュ削減エラー: ${error}`);
+  } finally {
+    storagePruning = false;
+  }
+}
+
+/**
+ * 永続ストレージを要求する
+ * ブラウザによっては、インストール済みやエンゲージメントが高い場合のみ許可される
+ * @returns {Promise<boolean>} 永続化された場合は true
+ */
+async function requestPersistentStorage() {
+  if (!navigator.storage.persist) {
+    logStorage('navigator.storage.persist() はこのブラウザでサポートされていません');
+    return false;
+  }
+
+  try {
+    const persisted = await navigator.storage.persist();
+    logStorage(`永続ストレージの要求結果: ${persisted ? '許可' : '拒否'}`);
+
+    if (AppState.storage) {
+      AppState.storage.persisted = persisted;
+      updateStorageUI(AppState.storage);
+    }
+    return persisted;
+  } catch (error) {
+    logStorage(`永続ストレージの要求エラー: ${error}`);
+    return false;
+  }
+}
+
+/**
+ * デバッグ情報セクションのストレージ表示を更新する
+ * @param {Object} info - estimateStorage() の結果
+ */
+function updateStorageUI(info) {
+  if (storageElements.usage) {
+    storageElements.usage.textContent = `${formatBytes(info.usage)} / ${formatBytes(info.quota)} (${(info.ratio * 100).toFixed(1)}%)`;
+    storageElements.usage.style.color = info.warning ? 'red' : 'green';
+  }
+
+  if (storageElements.breakdown) {
+    storageElements.breakdown.textContent = info.caches === null
+      ? '内訳不明（このブラウザでは取得できません）'
+      : `Cache Storage ${formatBytes(info.caches)} / IndexedDB ${formatBytes(info.indexedDB)}`;
+  }
+
+  if (storageElements.persisted) {
+    storageElements.persisted.textContent = info.persisted ? '永続化済み' : '未永続化（容量不足時に削除される可能性あり）';
+    storageElements.persisted.style.color = info.persisted ? 'green' : 'orange';
+  }
+
+  if (storageElements.persistBtn) {
+    storageElements.persistBtn.disabled = info.persisted;
+  }
+}
+
+/**
+ * ストレージ警告バナーを表示する
+ * @param {Object} info - estimateStorage() の結果
+ */
+function showStorageBanner(info) {
+  if (!storageElements.banner) return;
+
+  storageElements.bannerText.textContent =
+    `ストレージ使用量が上限の ${(info.ratio * 100).toFixed(0)}% に達しています。古いキャッシュを整理します。`;
+  storageElements.banner.hidden = false;
+}
+
+/**
+ * ストレージ警告バナーを非表示にする
+ */
+function hideStorageBanner() {
+  if (storageElements.banner) {
+    storageElements.banner.hidden = true;
+  }
+}
+
+// エクスポート（デバッグ用）
+window.PWAStorage = {
+  checkStorage,
+  estimateStorage,
+  requestPersistentStorage
+};
+
+logStorage('storage.js ファイル読み込み完了');
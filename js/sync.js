@@ -0,0 +1,303 @@
+/**
+ * バックグラウンド同期の登録と代替方式の実装
+ * Background Sync API（SyncManager）が使えるブラウザでは registration.sync.register() を使い、
+ * 使えないブラウザ（Safari、Firefox など）では同じAPIのまま代替方式で同期タスクを実行します。
+ *
+ * 代替方式の仕組み:
+ * - 同期タグを IndexedDB の 'pending-sync' ストアに保存する
+ * - 以下のタイミングで Service Worker に RUN_SYNC メッセージを送り、保留中のタスクを実行させる
+ *   - 登録時（オンラインの場合）
+ *   - オンライン復帰時（js/connectivity.js の connectivitychange イベント）
+ *   - ページが再表示された時（visibilitychange）
+ *   - Service Worker の起動時（sw.js 側で保留中のタグを実行）
+ * - 成功したタグは Service Worker が 'pending-sync' から削除する
+ *
+ * また、定期バックグラウンド同期（Periodic Background Sync）の登録・解除と
+ * 実行記録の表示もこのファイルで行う。
+ */
+
+/**
+ * 同期機能専用のデバッグログ関数
+ * [Sync]プレフィックスで同期関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logSync(message) {
+  console.log(`[Sync] ${message}`);
+}
+
+/**
+ * 同期方式の名前
+ * UIでユーザーにどちらの方式で登録されたかを表示するために使用
+ */
+const SYNC_MECHANISMS = {
+  backgroundSync: 'Background Sync API',
+  fallback: '代替方式（オンライン復帰・ページ表示・Service Worker起動時に実行）'
+};
+
+/**
+ * 定期バックグラウンド同期の設定
+ * PERIODIC_SYNC_TAG は sw.js の PERIODIC_SYNC_CONFIG.tag と一致させること
+ * 最小間隔はブラウザへの希望値で、実際の間隔はブラウザがサイトの利用状況に応じて決める
+ */
+const PERIODIC_SYNC_TAG = 'content-refresh';
+const PERIODIC_SYNC_MIN_INTERVAL = 12 * 60 * 60 * 1000; // 12時間
+
+// 定期同期の実行記録として表示する件数
+const PERIODIC_SYNC_LOG_LIMIT = 10;
+
+/**
+ * 定期バックグラウンド同期カードのDOM要素への参照
+ */
+const periodicSyncElements = {};
+
+/**
+ * 同期機能の初期化処理
+ * 代替方式の実行タイミングとなるイベントを監視し、保留中のタスクがあれば実行する
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  logSync('同期機能初期化開始');
+
+  // オンライン復帰時に保留中のタスクを実行
+  window.addEventListener('connectivitychange', (event) => {
+    if (event.detail.status !== 'offline' && event.detail.previousStatus === 'offline') {
+      flushPendingSyncTags();
+    }
+  });
+
+  // ページが再表示された時に保留中のタスクを実行
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+      flushPendingSyncTags();
+    }
+  });
+
+  // 前回のページ表示時に残ったタスクを実行
+  flushPendingSyncTags();
+
+  // 定期バックグラウンド同期カードの初期化
+  initializePeriodicSync();
+
+  logSync('同期機能初期化完了');
+});
+
+/**
+ * Background Sync API が使えるかどうか
+ * @param {ServiceWorkerRegistration} registration - Service Workerの登録オブジェクト
+ * @returns {boolean} 使える場合は true
+ */
+function isBackgroundSyncSupported(registration) {
+  return 'sync' in registration;
+}
+
+/**
+ * 同期タスクを登録する
+ * Background Sync API が使えない場合は代替方式で登録する
+ * @param {string} tag - 同期タグ（sw.js で registerSyncTask() されたもの）
+ * @returns {Promise<{mechanism: string}>} 使用された同期方式の名前
+ */
+async function registerSync(tag) {
+  const registration = await navigator.serviceWorker.ready;
+
+  if (isBackgroundSyncSupported(registration)) {
+    await registration.sync.register(tag);
+    logSync(`Background Sync API で登録: ${tag}`);
+    return { mechanism: SYNC_MECHANISMS.backgroundSync };
+  }
+
+  await idbPut('pending-sync', { tag, registeredAt: Date.now() });
+  logSync(`代替方式で登録: ${tag}`);
+
+  // オンラインであれば Background Sync と同様にすぐ実行する
+  if (isConnected()) {
+    await flushPendingSyncTags();
+  }
+
+  return { mechanism: SYNC_MECHANISMS.fallback };
+}
+
+/**
+ * 保留中の同期タグ一覧を取得する（代替方式のみ）
+ * @returns {Promise<string[]>} 同期タグの配列
+ */
+async function getPendingSyncTags() {
+  const entries = await idbGetAll('pending-sync');
+  return entries.map((entry) => entry.tag);
+}
+
+/**
+ * 保留中の同期タスクを Service Worker に実行させる（代替方式のみ）
+ * 実行結果は Service Worker から SYNC_STATUS メッセージで通知される
+ */
+async function flushPendingSyncTags() {
+  if (!('serviceWorker' in navigator) || !isConnected()) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (isBackgroundSyncSupported(registration) || !registration.active) {
+      return;
+    }
+
+    const tags = await getPendingSyncTags();
+    await Promise.all(tags.map(async (tag) => {
+      logSync(`保留中の同期タスクの実行を要求: ${tag}`);
+      try {
+        await ServiceWorkerClient.runSync(tag);
+      } catch (error) {
+        logSync(`同期タスクの実行要求エラー (${tag}): ${error.message}`);
+      }
+    }));
+  } catch (error) {
+    logSync(`保留中の同期タスクの実行要求エラー: ${error}`);
+  }
+}
+
+/**
+ * 定期バックグラウンド同期カードの初期化
+ * DOM要素の取得、ボタンのイベント設定、現在の状態と実行記録の表示を行う
+ */
+function initializePeriodicSync() {
+  periodicSyncElements.registerBtn = document.getElementById('periodicSyncBtn');       // 登録ボタン
+  periodicSyncElements.unregisterBtn = document.getElementById('periodicSyncStopBtn'); // 登録解除ボタン
+  periodicSyncElements.status = document.getElementById('periodicSyncStatus');         // 登録状態表示用パラグラフ
+  periodicSyncElements.permission = document.getElementById('periodicSyncPermission'); // 権限状態表示用スパン
+  periodicSyncElements.interval = document.getElementById('periodicSyncInterval');     // 最小間隔表示用スパン
+  periodicSyncElements.log = document.getElementById('periodicSyncLog');               // 実行記録のリスト
+
+  if (!periodicSyncElements.registerBtn) {
+    logSync('定期同期カードが見つかりません');
+    return;
+  }
+
+  periodicSyncElements.registerBtn.addEventListener('click', registerPeriodicSync);
+  periodicSyncElements.unregisterBtn.addEventListener('click', unregisterPeriodicSync);
+  periodicSyncElements.interval.textContent = `${PERIODIC_SYNC_MIN_INTERVAL / (60 * 60 * 1000)}時間`;
+
+  updatePeriodicSyncUI();
+  loadPeriodicSyncLog();
+}
+
+/**
+ * 定期バックグラウンド同期の権限状態を取得する
+ * @returns {Promise<string>} 'granted'、'denied'、'prompt'、または未対応の場合 'unsupported'
+ */
+async function getPeriodicSyncPermission() {
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    return status.state;
+  } catch (error) {
+    return 'unsupported';
+  }
+}
+
+/**
+ * 定期同期の登録状態と権限をカードに表示する
+ */
+async function updatePeriodicSyncUI() {
+  try {
+    const permission = await getPeriodicSyncPermission();
+    periodicSyncElements.permission.textContent = permission;
+    periodicSyncElements.permission.style.color = permission === 'granted' ? 'green' : (permission === 'denied' ? 'red' : 'orange');
+
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.ready : null;
+    if (!registration || !('periodicSync' in registration)) {
+      periodicSyncElements.registerBtn.disabled = true;
+      periodicSyncElements.unregisterBtn.disabled = true;
+      periodicSyncElements.status.textContent = 'ステータス: 定期同期未対応';
+      return;
+    }
+
+    // 権限がない場合やインストールされていない場合は getTags() が失敗することがある
+    const tags = await registration.periodicSync.getTags();
+    const isRegistered = tags.includes(PERIODIC_SYNC_TAG);
+
+    periodicSyncElements.registerBtn.disabled = isRegistered || permission === 'denied';
+    periodicSyncElements.unregisterBtn.disabled = !isRegistered;
+    periodicSyncElements.status.textContent = `ステータス: ${isRegistered ? `登録済み (${PERIODIC_SYNC_TAG})` : '未登録'}`;
+  } catch (error) {
+    logSync(`定期同期の状態の取得エラー: ${error}`);
+    periodicSyncElements.status.textContent = `ステータス: 状態の取得エラー - ${error.message}`;
+  }
+}
+
+/**
+ * 定期バックグラウンド同期を登録する
+ * インストール済みPWAでサイトのエンゲージメントが十分な場合のみ権限が付与される
+ */
+async function registerPeriodicSync() {
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_MIN_INTERVAL
+    });
+    logSync(`定期同期を登録: ${PERIODIC_SYNC_TAG}`);
+  } catch (error) {
+    logSync(`定期同期の登録エラー: ${error}`);
+    periodicSyncElements.status.textContent = `ステータス: 登録エラー - ${error.message}`;
+    return;
+  }
+
+  updatePeriodicSyncUI();
+}
+
+/**
+ * 定期バックグラウンド同期の登録を解除する
+ */
+async function unregisterPeriodicSync() {
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.periodicSync.unregister(PERIODIC_SYNC_TAG);
+    logSync(`定期同期を登録解除: ${PERIODIC_SYNC_TAG}`);
+  } catch (error) {
+    logSync(`定期同期の登録解除エラー: ${error}`);
+    periodicSyncElements.status.textContent = `ステータス: 登録解除エラー - ${error.message}`;
+    return;
+  }
+
+  updatePeriodicSyncUI();
+}
+
+/**
+ * Service Worker が IndexedDB に記録した定期同期の実行記録を表示する
+ * 新しい記録が追加されると Service Worker から PERIODIC_SYNC_LOGGED メッセージが届き、再度呼ばれる
+ */
+async function loadPeriodicSyncLog() {
+  if (!periodicSyncElements.log) return;
+
+  try {
+    const entries = (await idbGetAll('periodic-sync-log'))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, PERIODIC_SYNC_LOG_LIMIT);
+
+    periodicSyncElements.log.replaceChildren(...entries.map((entry) => {
+      const item = document.createElement('li');
+      const time = new Date(entry.startedAt).toLocaleString();
+      item.textContent = entry.ok
+        ? `${time} 成功 - 更新 ${entry.refreshed} 件 / 失敗 ${entry.failed} 件`
+        : `${time} 失敗 - ${entry.error}`;
+      item.style.color = entry.ok ? 'green' : 'red';
+      return item;
+    }));
+
+    if (entries.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = '実行記録なし';
+      periodicSyncElements.log.appendChild(item);
+    }
+  } catch (error) {
+    logSync(`定期同期の実行記録の読み込みエラー: ${error}`);
+  }
+}
+
+// エクスポート（app.js とデバッグ用）
+window.PWASync = {
+  registerSync,
+  getPendingSyncTags,
+  flushPendingSyncTags,
+  registerPeriodicSync,
+  unregisterPeriodicSync,
+  loadPeriodicSyncLog
+};
+
+logSync('sync.js ファイル読み込み完了');
@@ -0,0 +1,226 @@
+/**
+ * Service Worker の更新バナー
+ * 新しい Service Worker がインストールされて待機状態になると、ページ下部に更新バナーを表示します。
+ * 新しい Service Worker はユーザーが承認するまでアクティブにならないため（sw.js の install）、
+ * 更新のタイミングはユーザーが選べます。
+ *
+ * バナーの選択肢:
+ * - 今すぐ更新: 待機中の Service Worker に SKIP_WAITING を送る（controllerchange でページがリロードされる）
+ * - 後で: UPDATE_SNOOZE_HOURS 時間バナーを表示しない
+ * - 次回起動時: 次にアプリを開いた時に自動で更新する
+ *
+ * リリースノートは新しい Service Worker が install 時に取得した version.json（sw/release.js）から表示します。
+ * 「後で」「次回起動時」の選択はページを閉じても残るよう localStorage に保存します。
+ */
+
+/**
+ * 更新機能専用のデバッグログ関数
+ * [Update]プレフィックスで更新関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logUpdate(message) {
+  console.log(`[Update] ${message}`);
+}
+
+/**
+ * 更新バナーの設定
+ */
+const UPDATE_SNOOZE_HOURS = 4; // 「後で」を選んだ時にバナーを表示しない時間
+
+/**
+ * 更新の選択を保存する localStorage のキー
+ */
+const UPDATE_STORAGE_KEYS = {
+  snoozeUntil: 'pwa-update-snooze-until',     // 「後で」: この時刻（ミリ秒）まで表示しない
+  applyOnLaunch: 'pwa-update-apply-on-launch' // 「次回起動時」: 次のページ読み込みでこのバージョンに更新する
+};
+
+/**
+ * 更新バナーの状態
+ */
+const UpdateState = {
+  // 待機中の Service Worker
+  waitingWorker: null,
+
+  // 待機中の Service Worker のリリース情報（sw/release.js）
+  releaseInfo: null,
+
+  // 「後で」の期限が来たらバナーを再表示するタイマー
+  snoozeTimerId: null,
+
+  // 「今すぐ更新」でSKIP_WAITINGを送ったかどうか（controllerchange でリロードするかの判断に使う）
+  applying: false
+};
+
+/**
+ * 更新バナーのDOM要素への参照
+ */
+const updateElements = {};
+
+/**
+ * 更新バナーの初期化処理
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  updateElements.banner = document.getElementById('updateBanner');             // 更新バナー
+  updateElements.title = document.getElementById('updateBannerTitle');         // バナーの見出し
+  updateElements.notes = document.getElementById('updateNotes');               // リリースノートのリスト
+  updateElements.nowBtn = document.getElementById('updateNowBtn');             // 今すぐ更新ボタン
+  updateElements.laterBtn = document.getElementById('updateLaterBtn');         // 後でボタン
+  updateElements.nextLaunchBtn = document.getElementById('updateNextLaunchBtn'); // 次回起動時ボタン
+
+  if (!updateElements.banner) {
+    logUpdate('更新バナーが見つかりません');
+    return;
+  }
+
+  updateElements.nowBtn.addEventListener('click', applyUpdate);
+  updateElements.laterBtn.addEventListener('click', snoozeUpdate);
+  updateElements.nextLaunchBtn.addEventListener('click', deferUpdateToNextLaunch);
+});
+
+/**
+ * 待機中の Service Worker があることをユーザーに知らせる
+ * app.js の showUpdateAvailable() から呼ばれる
+ * 「次回起動時」が選ばれていれば、バナーを出さずにすぐ更新する
+ * @param {ServiceWorker} worker - 待機中の Service Worker
+ */
+async function offerUpdate(worker) {
+  if (!worker) return;
+  UpdateState.waitingWorker = worker;
+
+  try {
+    UpdateState.releaseInfo = await ServiceWorkerClient.getReleaseInfo(worker);
+  } catch (error) {
+    logUpdate(`リリース情報の取得エラー: ${error}`);
+    UpdateState.releaseInfo = null;
+  }
+
+  // 「次回起動時」を選んだのと同じバージョンが待機していれば更新する
+  // 別のバージョンの場合は改めてユーザーに確認する
+  const deferredVersion = localStorage.getItem(UPDATE_STORAGE_KEYS.applyOnLaunch);
+  if (deferredVersion && UpdateState.releaseInfo && deferredVersion === UpdateState.releaseInfo.version) {
+    logUpdate(`「次回起動時」が選択されていたため更新を適用: ${deferredVersion}`);
+    applyUpdate();
+    return;
+  }
+  localStorage.removeItem(UPDATE_STORAGE_KEYS.applyOnLaunch);
+
+  const snoozeUntil = Number(localStorage.getItem(UPDATE_STORAGE_KEYS.snoozeUntil) || 0);
+  if (snoozeUntil > Date.now()) {
+    logUpdate(`更新バナーは ${new Date(snoozeUntil).toLocaleString()} まで保留中`);
+    scheduleUpdateBanner(snoozeUntil - Date.now());
+    return;
+  }
+
+  showUpdateBanner();
+}
+
+/**
+ * 更新バナーを表示する
+ */
+function showUpdateBanner() {
+  if (!updateElements.banner || !UpdateState.waitingWorker) return;
+
+  const info = UpdateState.releaseInfo;
+  updateElements.title.textContent = info
+    ? `新しいバージョン ${info.version} が利用可能です`
+    : '新しいバージョンが利用可能です';
+
+  updateElements.notes.replaceChildren(...(info ? info.notes : []).map((note) => {
+    const item = document.createElement('li');
+    item.textContent = note;
+    return item;
+  }));
+
+  updateElements.banner.hidden = false;
+  logUpdate('更新バナーを表示');
+}
+
+/**
+ * 更新バナーを非表示にする
+ */
+function hideUpdateBanner() {
+  if (updateElements.banner) {
+    updateElements.banner.hidden = true;
+  }
+}
+
+/**
+ * 指定時間後に更新バナーを表示する（ページを開いたままの場合）
+ * @param {number} delay - 表示までの時間（ミリ秒）
+ */
+function scheduleUpdateBanner(delay) {
+  clearTimeout(UpdateState.snoozeTimerId);
+  UpdateState.snoozeTimerId = setTimeout(() => {
+    localStorage.removeItem(UPDATE_STORAGE_KEYS.snoozeUntil);
+    showUpdateBanner();
+  }, delay);
+}
+
+/**
+ * 「今すぐ更新」: 待機中の Service Worker をアクティブにする
+ * アクティブになると controllerchange イベントが発生し、app.js がページをリロードする
+ */
+function applyUpdate() {
+  const worker = UpdateState.waitingWorker;
+  if (!worker) {
+    logUpdate('待機中のService Workerが見つかりません');
+    return;
+  }
+
+  localStorage.removeItem(UPDATE_STORAGE_KEYS.snoozeUntil);
+  localStorage.removeItem(UPDATE_STORAGE_KEYS.applyOnLaunch);
+  clearTimeout(UpdateState.snoozeTimerId);
+
+  // 'SKIP_WAITING'メッセージをService Workerに送信
+  // これにより、Service Workerがself.skipWaiting()を実行し、即座にアクティブになる
+  UpdateState.applying = true;
+  worker.postMessage({ type: 'SKIP_WAITING' });
+  logUpdate('SKIP_WAITINGメッセージをService Workerに送信しました');
+
+  if (updateElements.title) {
+    updateElements.title.textContent = '更新中...';
+  }
+}
+
+/**
+ * 「後で」: UPDATE_SNOOZE_HOURS 時間バナーを表示しない
+ */
+function snoozeUpdate() {
+  const delay = UPDATE_SNOOZE_HOURS * 60 * 60 * 1000;
+  localStorage.setItem(UPDATE_STORAGE_KEYS.snoozeUntil, String(Date.now() + delay));
+
+  hideUpdateBanner();
+  scheduleUpdateBanner(delay);
+  logUpdate(`更新を ${UPDATE_SNOOZE_HOURS} 時間後に再通知`);
+}
+
+/**
+ * 「次回起動時」: 次にアプリを開いた時に更新する
+ * 待機中の Service Worker は、全てのタブを閉じた時にもブラウザによってアクティブになる
+ */
+function deferUpdateToNextLaunch() {
+  if (!UpdateState.releaseInfo) {
+    // バージョンが分からない場合は次回起動時に改めて確認する
+    logUpdate('リリース情報がないため「後で」として扱います');
+    snoozeUpdate();
+    return;
+  }
+
+  localStorage.setItem(UPDATE_STORAGE_KEYS.applyOnLaunch, UpdateState.releaseInfo.version);
+  clearTimeout(UpdateState.snoozeTimerId);
+
+  hideUpdateBanner();
+  logUpdate('更新を次回起動時に適用');
+}
+
+// エクスポート（app.js とデバッグ用）
+window.PWAUpdate = {
+  offerUpdate,
+  applyUpdate,
+  snoozeUpdate,
+  deferUpdateToNextLaunch,
+  isApplyingUpdate: () => UpdateState.applying
+};
+
+logUpdate('update.js ファイル読み込み完了');
@@ -0,0 +1,170 @@
+/**
+ * ページと Service Worker のバージョン確認
+ * デプロイ直後は、古いページが新しい Service Worker と（またはその逆の組み合わせで）動作することがあります。
+ * ページの起動時とページを制御する Service Worker が変わった時に、両者のビルドバージョン（js/config.js）を
+ * HANDSHAKE メッセージで交換し、結果をデバッグ情報セクションに表示します。
+ *
+ * 互換性がない組み合わせの場合:
+ * - ページが古い: ページを再読み込みして新しいページを取得する
+ * - Service Worker が古い: 更新を確認し、新しい Service Worker のアクティブ化は更新バナー（js/update.js）に任せる
+ * 確認自体に失敗した場合（タイムアウトなど）は互換性を判断できないため、表示とログのみにとどめます。
+ * 再読み込みの無限ループを防ぐため、同じバージョンの組み合わせでの再読み込みはセッション中1回だけ行います。
+ */
+
+/**
+ * バージョン確認専用のデバッグログ関数
+ * [Version]プレフィックスでバージョン確認関連のログを区別
+ * @param {string} message - ログに出力するメッセージ
+ */
+function logVersion(message) {
+  console.log(`[Version] ${message}`);
+}
+
+/**
+ * 再読み込みしたバージョンの組み合わせを保存する sessionStorage のキー
+ */
+const VERSION_RELOAD_KEY = 'pwa-version-mismatch-reload';
+
+/**
+ * バージョン確認の状態
+ */
+const VersionState = {
+  // 最後の確認結果（performVersionHandshake() の戻り値）
+  lastResult: null
+};
+
+/**
+ * ページを制御している Service Worker とバージョンを交換する
+ * @returns {Promise<Object>} { pageVersion, workerVersion, pageCompatible, workerCompatible, status }
+ *   status は 'compatible'、'page-outdated'、'worker-outdated'、'uncontrolled'、'error' のいずれか
+ */
+async function performVersionHandshake() {
+  const result = {
+    pageVersion: APP_VERSION,
+    workerVersion: null,
+    pageCompatible: true,
+    workerCompatible: true,
+    status: 'uncontrolled'
+  };
+
+  const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+  if (!controller) {
+    // 初回訪問時やハードリロード時はページを制御している Service Worker がない
+    logVersion('ページを制御しているService Workerがないためバージョン確認をスキップ');
+    return updateVersionResult(result);
+  }
+
+  try {
+    const reply = await ServiceWorkerClient.handshake(APP_VERSION, controller);
+    result.workerVersion = reply.version;
+    result.pageCompatible = reply.pageCompatible;
+    result.workerCompatible = isCompatibleVersion(reply.version);
+
+    if (!result.pageCompatible) {
+      result.status = 'page-outdated';
+    } else if (!result.workerCompatible) {
+      result.status = 'worker-outdated';
+    } else {
+      result.status = 'compatible';
+    }
+  } catch (error) {
+    // 古い Service Worker は HANDSHAKE に対応していないためエラーになる
+    logVersion(`バージョン交換エラー: ${error}`);
+    result.workerCompatible = false;
+    result.status = 'error';
+  }
+
+  logVersion(`ページ ${result.pageVersion} / Service Worker ${result.workerVersion || '不明'}: ${result.status}`);
+  return updateVersionResult(result);
+}
+
+/**
+ * 確認結果を保存し、デバッグ情報セクションに表示する
+ * @param {Object} result - performVersionHandshake() の結果
+ * @returns {Object} 同じ結果
+ */
+function updateVersionResult(result) {
+  VersionState.lastResult = result;
+
+  const element = document.getElementById('versionStatus');
+  if (!element) return result;
+
+  const labels = {
+    compatible: '互換性あり',
+    'page-outdated': 'ページが古い',
+    'worker-outdated': 'Service Workerが古い',
+    uncontrolled: 'Service Worker未制御',
+    error: '確認エラー'
+  };
+
+  element.textContent = `ページ ${result.pageVersion} / Service Worker ${result.workerVersion || '-'} (${labels[result.status]})`;
+  element.style.color = result.status === 'compatible' ? 'green' : (result.status === 'uncontrolled' ? 'orange' : 'red');
+  return result;
+}
+
+/**
+ * バージョンを確認し、互換性がなければ解消を試みる
+ * @returns {Promise<Object>} performVersionHandshake() の結果
+ */
+async function checkVersionCompatibility() {
+  const result = await performVersionHandshake();
+
+  if (result.status === 'page-outdated') {
+    reloadForVersionMismatch(result);
+  } else if (result.status === 'worker-outdated') {
+    await updateOutdatedWorker();
+  } else if (result.status === 'error') {
+    logVersion('バージョンを確認できなかったため Service Worker の更新は行いません');
+  }
+
+  return result;
+}
+
+/**
+ * 古いページを再読み込みする
+ * 同じバージョンの組み合わせでは1回だけ再読み込みし、それでも解消しなければ表示のみにとどめる
+ * @param {Object} result - performVersionHandshake() の結果
+ */
+function reloadForVersionMismatch(result) {
+  const pair = `${result.pageVersion}->${result.workerVersion}`;
+
+  if (sessionStorage.getItem(VERSION_RELOAD_KEY) === pair) {
+    logVersion(`再読み込み後もバージョンが一致しません (${pair}) - 再読み込みを中止`);
+    return;
+  }
+
+  sessionStorage.setItem(VERSION_RELOAD_KEY, pair);
+  logVersion(`ページが古いため再読み込み (${pair})`);
+  window.location.reload();
+}
+
+/**
+ * 古い Service Worker を更新する
+ * サーバーに新しい sw.js がないか確認する。新しい Service Worker がインストールされて待機状態になると
+ * 更新バナー（js/update.js）が表示され、ユーザーが承認した時にアクティブになる
+ */
+async function updateOutdatedWorker() {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) return;
+
+  if (registration.waiting) {
+    logVersion('Service Workerが古いが、新しいService Workerは更新バナーで承認待ち');
+    return;
+  }
+
+  logVersion('Service Workerが古いため更新を確認');
+  try {
+    await registration.update();
+  } catch (error) {
+    logVersion(`Service Worker 更新確認エラー: ${error}`);
+  }
+}
+
+// エクスポート（app.js とデバッグ用）
+window.PWAVersion = {
+  performVersionHandshake,
+  checkVersionCompatibility,
+  getLastResult: () => VersionState.lastResult
+};
+
+logVersion('version.js ファイル読み込み完了');
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * プリキャッシュマニフェスト生成スクリプト
+ * アプリシェル（index.html、offline.html、css/、js/、icons/、fallbacks/、manifest.json）を走査し、
+ * 各ファイルの内容ハッシュをリビジョンとした一覧を sw/precache-manifest.js に出力します。
+ *
+ * Service Worker はこのリビジョンを比較し、変更されたファイルだけを再ダウンロードします。
+ * アプリシェルのファイルを編集したら、デプロイ前に必ず実行してください。
+ *
+ * 使い方:
+ *   node scripts/generate-precache-manifest.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// リポジトリのルートディレクトリ
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 出力先（sw.js から importScripts で読み込まれる）
+const OUTPUT_FILE = path.join(ROOT_DIR, 'sw', 'precache-manifest.js');
+
+// プリキャッシュ対象のファイルとディレクトリ（ルートからの相対パス）
+const APP_SHELL = [
+  'index.html',
+  'offline.html',
+  'manifest.json',
+  'css',
+  'js',
+  'icons',
+  'fallbacks' // オフライン時の代替レスポンス（sw/fallbacks.js）
+];
+
+// プリキャッシュ対象とする拡張子
+// icons/ 内の README.md やプレースホルダー説明の .txt などは除外される
+const PRECACHE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.png', '.svg', '.ico', '.webp', '.woff2'];
+
+/**
+ * 生成処理専用のログ関数
+ * @param {string} message - ログに出力するメッセージ
+ */
+function log(message) {
+  console.log(`[Precache] ${message}`);
+}
+
+/**
+ * ディレクトリを再帰的に走査し、対象ファイルの相対パス一覧を返す
+ * @param {string} relativePath - ルートからの相対パス（ファイルまたはディレクトリ）
+ * @returns {string[]} 対象ファイルの相対パス一覧
+ */
+function collectFiles(relativePath) {
+  const absolutePath = path.join(ROOT_DIR, relativePath);
+  const stat = fs.statSync(absolutePath);
+
+  if (stat.isDirectory()) {
+    return fs.readdirSync(absolutePath)
+      .flatMap((name) => collectFiles(path.join(relativePath, name)));
+  }
+
+  if (!PRECACHE_EXTENSIONS.includes(path.extname(relativePath))) {
+    return [];
+  }
+
+  return [relativePath];
+}
+
+/**
+ * ファイル内容のハッシュ（リビジョン）を計算する
+ * @param {string} relativePath - ルートからの相対パス
+ * @returns {string} SHA-256 の先頭16文字
+ */
+function hashFile(relativePath) {
+  const content = fs.readFileSync(path.join(ROOT_DIR, relativePath));
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * マニフェストを生成してファイルに書き出す
+ */
+function generate() {
+  const entries = APP_SHELL
+    .flatMap(collectFiles)
+    .map((relativePath) => relativePath.split(path.sep).join('/'))
+    .sort()
+    .map((url) => ({ url, revision: hashFile(url) }));
+
+  const output = [
+    '// プリキャッシュマニフェスト',
+    '// このファイルは scripts/generate-precache-manifest.js によって自動生成されます。手動で編集しないでください',
+    '// url は sw.js の場所からの相対パス、revision はファイル内容のハッシュです',
+    `self.__PRECACHE_MANIFEST = ${JSON.stringify(entries, null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT_FILE, output);
+
+  log(`${entries.length} 件のエントリを出力: ${path.relative(ROOT_DIR, OUTPUT_FILE)}`);
+}
+
+generate();
@@ -0,0 +1,94 @@
+/**
+ * HTTP リクエスト・レスポンスの共通処理
+ */
+
+// リクエストボディの上限（プッシュのペイロードとサブスクリプションには十分な大きさ）
+const MAX_BODY_LENGTH = 64 * 1024;
+
+/**
+ * クライアントに返すエラー
+ * status がレスポンスのステータスになる
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * リクエストボディを読み込む
+ * @param {http.IncomingMessage} request - リクエスト
+ * @returns {Promise<Buffer>} ボディ
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    request.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > MAX_BODY_LENGTH) {
+        reject(new HttpError(413, 'リクエストボディが大きすぎます'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * リクエストボディを JSON として読み込む
+ * ボディが JSON のオブジェクトでない場合（null、配列、数値など）は 400 エラーにする
+ * @param {http.IncomingMessage} request - リクエスト
+ * @returns {Promise<Object>} パースしたボディ
+ */
+async function readJsonBody(request) {
+  const body = await readBody(request);
+  let json;
+  try {
+    json = JSON.parse(body.toString('utf8') || '{}');
+  } catch (error) {
+    throw new HttpError(400, `JSON を解析できません: ${error.message}`);
+  }
+
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    throw new HttpError(400, 'リクエストボディは JSON のオブジェクトである必要があります');
+  }
+  return json;
+}
+
+/**
+ * JSON レスポンスを返す
+ * @param {http.ServerResponse} response - レスポンス
+ * @param {number} status - ステータス
+ * @param {Object} body - レスポンスボディ
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * リクエストの送信元から見たサーバーのオリジン
+ * @param {http.IncomingMessage} request - リクエスト
+ * @returns {string} オリジン（http://host:port）
+ */
+function getRequestOrigin(request) {
+  return `http://${request.headers.host}`;
+}
+
+module.exports = {
+  HttpError,
+  readBody,
+  readJsonBody,
+  sendJson,
+  getRequestOrigin
+};
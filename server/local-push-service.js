@@ -0,0 +1,171 @@
+/**
+ * ローカルのプッシュサービス（FCM や Mozilla Push Service の代わり）
+ * インターネットに接続できない環境でも、VAPID 署名と暗号化を含む送信処理を最後まで確認するためのものです。
+ * ブラウザの代わりにサブスクリプションの鍵を持ち、受け取ったメッセージを検証・復号して保存します。
+ *
+ * エンドポイント:
+ * - POST   /push-service/subscriptions  サブスクリプションを作成（PushSubscription.toJSON() と同じ形式で返す）
+ *                                       body の applicationServerKey を指定すると、その VAPID 鍵以外の送信を拒否する
+ * - POST   /push-service/:id            メッセージを受信（本物のプッシュサービスと同じ形式）
+ * - GET    /push-service/:id/messages   受信したメッセージ（復号済み）の一覧
+ * - DELETE /push-service/:id            サブスクリプションを期限切れにする（以降の送信は 410 Gone）
+ */
+
+const crypto = require('crypto');
+const { HttpError, readBody, readJsonBody, sendJson, getRequestOrigin } = require('./http-utils');
+const { createCollection } = require('./store');
+const { generateKeyPair, toBase64Url, verifyVapidAuthorization, decryptPayload } = require('./web-push');
+
+// エンドポイントのパス
+const LOCAL_PUSH_SERVICE_PATH = '/push-service/';
+
+// 1つのサブスクリプションに保存するメッセージの上限
+const MAX_STORED_MESSAGES = 50;
+
+// ローカルのサブスクリプション（id をキーに保存）
+const localSubscriptions = createCollection('local-push-service.json');
+
+/**
+ * ローカルのプッシュサービスのログ関数
+ * @param {string} message - ログに出力するメッセージ
+ */
+function log(message) {
+  console.log(`[LocalPushService] ${message}`);
+}
+
+/**
+ * サブスクリプションを作成する
+ * @param {http.IncomingMessage} request - リクエスト
+ * @param {http.ServerResponse} response - レスポンス
+ */
+async function createSubscription(request, response) {
+  const { applicationServerKey = null } = await readJsonBody(request);
+  const id = crypto.randomBytes(16).toString('hex');
+  const { publicKey, privateKey } = generateKeyPair();
+  const auth = toBase64Url(crypto.randomBytes(16));
+
+  localSubscriptions.put(id, {
+    id,
+    publicKey,
+    privateKey,
+    auth,
+    applicationServerKey,
+    expired: false,
+    createdAt: new Date().toISOString(),
+    messages: []
+  });
+
+  log(`サブスクリプションを作成: ${id}`);
+  sendJson(response, 201, {
+    endpoint: `${getRequestOrigin(request)}${LOCAL_PUSH_SERVICE_PATH}${id}`,
+    expirationTime: null,
+    keys: { p256dh: publicKey, auth }
+  });
+}
+
+/**
+ * メッセージを受信する
+ * 本物のプッシュサービスと同じく、VAPID 署名・TTL・Content-Encoding を検証してから 201 を返す
+ * @param {http.IncomingMessage} request - リクエスト
+ * @param {http.ServerResponse} response - レスポンス
+ * @param {Object} subscription - 送信先のローカルサブスクリプション
+ */
+async function receiveMessage(request, response, subscription) {
+  let vapid;
+  try {
+    vapid = verifyVapidAuthorization(request.headers.authorization, getRequestOrigin(request));
+  } catch (error) {
+    throw new HttpError(401, `VAPID の検証に失敗: ${error.message}`);
+  }
+
+  if (subscription.applicationServerKey && subscription.applicationServerKey !== vapid.publicKey) {
+    throw new HttpError(403, 'サブスクリプション作成時と異なる VAPID 鍵です');
+  }
+
+  const ttl = Number(request.headers.ttl);
+  if (!Number.isInteger(ttl) || ttl < 0) {
+    throw new HttpError(400, 'TTL ヘッダーが必要です');
+  }
+
+  const body = await readBody(request);
+  let payload = null;
+  if (body.length > 0) {
+    if (request.headers['content-encoding'] !== 'aes128gcm') {
+      throw new HttpError(415, 'Content-Encoding は aes128gcm である必要があります');
+    }
+    try {
+      payload = decryptPayload(body, subscription).toString('utf8');
+    } catch (error) {
+      throw new HttpError(400, `復号に失敗: ${error.message}`);
+    }
+  }
+
+  subscription.messages = [
+    ...subscription.messages,
+    {
+      receivedAt: new Date().toISOString(),
+      ttl,
+      urgency: request.headers.urgency || 'normal',
+      subject: vapid.claims.sub,
+      payload
+    }
+  ].slice(-MAX_STORED_MESSAGES);
+  localSubscriptions.put(subscription.id, subscription);
+
+  log(`メッセージを受信 (${subscription.id}): ${payload === null ? 'ペイロードなし' : payload}`);
+  response.writeHead(201, { Location: `${LOCAL_PUSH_SERVICE_PATH}${subscription.id}/messages` });
+  response.end();
+}
+
+/**
+ * ローカルのプッシュサービスへのリクエストを処理する
+ * @param {http.IncomingMessage} request - リクエスト
+ * @param {http.ServerResponse} response - レスポンス
+ * @param {URL} url - リクエストの URL
+ * @returns {Promise<boolean>} 処理した場合は true
+ */
+async function handleLocalPushService(request, response, url) {
+  if (!url.pathname.startsWith(LOCAL_PUSH_SERVICE_PATH)) {
+    return false;
+  }
+
+  const [id, action] = url.pathname.slice(LOCAL_PUSH_SERVICE_PATH.length).split('/');
+
+  if (id === 'subscriptions' && request.method === 'POST') {
+    await createSubscription(request, response);
+    return true;
+  }
+
+  const subscription = localSubscriptions.get(id);
+  if (!subscription) {
+    throw new HttpError(404, 'サブスクリプションが見つかりません');
+  }
+
+  if (action === 'messages' && request.method === 'GET') {
+    sendJson(response, 200, { messages: subscription.messages });
+    return true;
+  }
+
+  if (action === undefined && request.method === 'DELETE') {
+    subscription.expired = true;
+    localSubscriptions.put(id, subscription);
+    log(`サブスクリプションを期限切れにしました: ${id}`);
+    response.writeHead(204);
+    response.end();
+    return true;
+  }
+
+  if (action === undefined && request.method === 'POST') {
+    if (subscription.expired) {
+      throw new HttpError(410, 'サブスクリプションの期限が切れています');
+    }
+    await receiveMessage(request, response, subscription);
+    return true;
+  }
+
+  throw new HttpError(405, `${request.method} はサポートされていません`);
+}
+
+module.exports = {
+  handleLocalPushService
+};
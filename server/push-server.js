@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Web Push テスト用のローカルサーバー
+ * PWA の静的ファイルを配信しながら、プッシュ通知の送信に必要な API を提供します。
+ * Node.js の標準モジュールだけで動作し、npm install は不要です。
+ * Node.js 18 以上が必要です（プッシュサービスへの送信にグローバルの fetch を使うため）。
+ *
+ * 初回起動時に VAPID 鍵ペアを生成して server/data/vapid.json に保存します。
+ * 鍵を作り直すとそれまでのサブスクリプションには送信できなくなるため、ファイルは削除しないでください。
+ *
+ * API:
+ * - GET    /api/push/config            クライアント向けの設定（VAPID 公開鍵など）
+ * - POST   /api/push/subscribe         サブスクリプションを登録（PushSubscription.toJSON() の形式、oldEndpoint で置き換え）
+ * - DELETE /api/push/unsubscribe       サブスクリプションを削除（{ endpoint }）
+ * - GET    /api/push/subscriptions     登録済みのサブスクリプション一覧（管理用）
+ * - POST   /api/push/send              プッシュ通知を送信（管理用）
+ * - POST   /api/notifications/read     通知の「既読にする」アクション（{ messageId }）
+ * - POST   /api/notifications/reply    通知のインライン返信（{ messageId, text }）
+ *   管理用 API には Authorization: Bearer <管理トークン> が必要です
+ *
+ * ローカルのプッシュサービス（/push-service/）については local-push-service.js を参照してください。
+ *
+ * 使い方:
+ *   node server/push-server.js
+ *
+ * 環境変数:
+ *   PORT              待ち受けるポート（既定値 8080）
+ *   HOST              待ち受けるアドレス（既定値 127.0.0.1）
+ *   VAPID_SUBJECT     VAPID の連絡先（mailto: または https: の URL）
+ *   PUSH_ADMIN_TOKEN  管理トークン（省略時は生成して server/data/admin.json に保存）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { HttpError, readJsonBody, sendJson } = require('./http-utils');
+const { handleLocalPushService } = require('./local-push-service');
+const { readJson, writeJson, createCollection } = require('./store');
+const { fromBase64Url, generateKeyPair, sendNotification } = require('./web-push');
+
+// サーバーの設定
+const SERVER_CONFIG = {
+  port: Number(process.env.PORT) || 8080,
+  host: process.env.HOST || '127.0.0.1',
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost'
+};
+
+// 静的ファイルを配信するディレクトリ（リポジトリのルート）
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 配信しないパス（ルートからの相対パスの先頭）
+const PRIVATE_PATHS = ['server', 'scripts', 'docs', 'requests.jsonl'];
+
+// 拡張子と Content-Type の対応
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2'
+};
+
+// 登録されたサブスクリプション（endpoint をキーに保存）
+const subscriptions = createCollection('subscriptions.json');
+
+/**
+ * サーバーのログ関数
+ * @param {string} message - ログに出力するメッセージ
+ */
+function log(message) {
+  console.log(`[PushServer] ${message}`);
+}
+
+/**
+ * VAPID 鍵ペアを読み込む（なければ生成して保存する）
+ * @returns {{publicKey: string, privateKey: string, subject: string}} VAPID 鍵と連絡先
+ */
+function loadVapidKeys() {
+  let keys = readJson('vapid.json', null);
+  if (!keys) {
+    keys = generateKeyPair();
+    writeJson('vapid.json', keys);
+    log('VAPID 鍵ペアを生成しました: server/data/vapid.json');
+  }
+  return { ...keys, subject: SERVER_CONFIG.vapidSubject };
+}
+
+/**
+ * 管理トークンを読み込む（環境変数になければ生成して保存する）
+ * @returns {string} 管理トークン
+ */
+function loadAdminToken() {
+  if (process.env.PUSH_ADMIN_TOKEN) {
+    return process.env.PUSH_ADMIN_TOKEN;
+  }
+
+  let config = readJson('admin.json', null);
+  if (!config) {
+    config = { token: crypto.randomBytes(24).toString('base64url') };
+    writeJson('admin.json', config);
+  }
+  return config.token;
+}
+
+const vapidKeys = loadVapidKeys();
+const adminToken = loadAdminToken();
+
+/**
+ * 管理用 API の認証
+ * @param {http.IncomingMessage} request - リクエスト
+ */
+function requireAdmin(request) {
+  const expected = Buffer.from(`Bearer ${adminToken}`);
+  const actual = Buffer.from(request.headers.authorization || '');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new HttpError(401, '管理トークンが必要です');
+  }
+}
+
+/**
+ * クライアントから送られたサブスクリプションを検証する
+ * @param {Object} body - PushSubscription.toJSON() の形式
+ * @returns {{endpoint: string, expirationTime: number|null, keys: {p256dh: string, auth: string}}} 保存する値
+ */
+function validateSubscription(body) {
+  const { endpoint, expirationTime = null, keys = {} } = body;
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    throw new HttpError(400, 'endpoint が URL ではありません');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new HttpError(400, 'endpoint は http(s) の URL である必要があります');
+  }
+
+  if (typeof keys.p256dh !== 'string' || fromBase64Url(keys.p256dh).length !== 65) {
+    throw new HttpError(400, 'keys.p256dh は65バイトの P-256 公開鍵である必要があります');
+  }
+  if (typeof keys.auth !== 'string' || fromBase64Url(keys.auth).length !== 16) {
+    throw new HttpError(400, 'keys.auth は16バイトである必要があります');
+  }
+
+  return { endpoint, expirationTime, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+/**
+ * サブスクリプションを登録する
+ * 同じ endpoint が既にあれば鍵を更新する
+ * oldEndpoint を指定すると古いサブスクリプションを削除する（Service Worker の pushsubscriptionchange）
+ */
+async function handleSubscribe(request, response) {
+  const body = await readJsonBody(request);
+  const subscription = validateSubscription(body);
+  const existing = subscriptions.get(subscription.endpoint);
+  const now = new Date().toISOString();
+
+  if (body.oldEndpoint && body.oldEndpoint !== subscription.endpoint && subscriptions.remove(body.oldEndpoint)) {
+    log(`古いサブスクリプションを削除: ${body.oldEndpoint}`);
+  }
+
+  subscriptions.put(subscription.endpoint, {
+    ...subscription,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  });
+
+  log(`サブスクリプションを${existing ? '更新' : '登録'}: ${subscription.endpoint}`);
+  sendJson(response, existing ? 200 : 201, { ok: true });
+}
+
+/**
+ * サブスクリプションを削除する
+ */
+async function handleUnsubscribe(request, response) {
+  const { endpoint } = await readJsonBody(request);
+  if (!subscriptions.remove(endpoint)) {
+    throw new HttpError(404, 'サブスクリプションが見つかりません');
+  }
+
+  log(`サブスクリプションを削除: ${endpoint}`);
+  sendJson(response, 200, { ok: true });
+}
+
+/**
+ * プッシュ通知を送信する（管理用）
+ * body: { payload, endpoint（省略時は全員）, ttl, urgency }
+ * 404 / 410 が返ってきたサブスクリプションは無効になっているため削除する
+ */
+async function handleSend(request, response) {
+  requireAdmin(request);
+
+  const { payload = null, endpoint, ttl, urgency } = await readJsonBody(request);
+  const targets = endpoint ? [subscriptions.get(endpoint)].filter(Boolean) : subscriptions.list();
+  if (targets.length === 0) {
+    throw new HttpError(404, '送信先のサブスクリプションがありません');
+  }
+
+  const results = await Promise.all(targets.map(async (subscription) => {
+    try {
+      const result = await sendNotification(subscription, payload, { vapid: vapidKeys, ttl, urgency });
+      const removed = result.status === 404 || result.status === 410;
+      if (removed) {
+        subscriptions.remove(subscription.endpoint);
+      }
+      return { endpoint: subscription.endpoint, status: result.status, ok: result.status >= 200 && result.status < 300, removed, error: result.status >= 300 ? result.body : null };
+    } catch (error) {
+      return { endpoint: subscription.endpoint, status: null, ok: false, removed: false, error: error.message };
+    }
+  }));
+
+  const summary = {
+    sent: results.filter((result) => result.ok).length,
+    failed: results.filter((result) => !result.ok).length,
+    removed: results.filter((result) => result.removed).length,
+    results
+  };
+
+  log(`プッシュ通知を送信: 成功 ${summary.sent} / 失敗 ${summary.failed} / 削除 ${summary.removed}`);
+  sendJson(response, 200, summary);
+}
+
+/**
+ * 通知のアクションを受け取る（sw/notification-click.js）
+ * テスト用サーバーなのでメッセージの状態は持たず、受け取った内容をログに出力する
+ * @param {string} type - 'read' または 'reply'
+ */
+async function handleNotificationAction(request, response, type) {
+  const { messageId, text } = await readJsonBody(request);
+
+  if (messageId === undefined || messageId === null || messageId === '') {
+    throw new HttpError(400, 'messageId が必要です');
+  }
+  if (type === 'reply' && (typeof text !== 'string' || text.trim() === '')) {
+    throw new HttpError(400, '返信の text が必要です');
+  }
+
+  log(type === 'reply' ? `返信を受信 (${messageId}): ${text}` : `既読を受信: ${messageId}`);
+  sendJson(response, 200, { ok: true, messageId });
+}
+
+/**
+ * API のルーティング
+ * @returns {Promise<boolean>} 処理した場合は true
+ */
+async function handleApi(request, response, url) {
+  const route = `${request.method} ${url.pathname}`;
+
+  switch (route) {
+    case 'GET /api/push/config':
+      sendJson(response, 200, { vapidPublicKey: vapidKeys.publicKey });
+      return true;
+    case 'POST /api/push/subscribe':
+      await handleSubscribe(request, response);
+      return true;
+    case 'DELETE /api/push/unsubscribe':
+      await handleUnsubscribe(request, response);
+      return true;
+    case 'GET /api/push/subscriptions':
+      requireAdmin(request);
+      sendJson(response, 200, { subscriptions: subscriptions.list() });
+      return true;
+    case 'POST /api/push/send':
+      await handleSend(request, response);
+      return true;
+    case 'POST /api/notifications/read':
+      await handleNotificationAction(request, response, 'read');
+      return true;
+    case 'POST /api/notifications/reply':
+      await handleNotificationAction(request, response, 'reply');
+      return true;
+    default:
+      if (url.pathname.startsWith('/api/')) {
+        throw new HttpError(404, `${route} は存在しません`);
+      }
+      return false;
+  }
+}
+
+/**
+ * 静的ファイルを配信する
+ * Service Worker のキャッシュ更新（sw/refresh.js）で再検証できるよう ETag と Last-Modified を付ける
+ */
+function serveStatic(request, response, url) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    throw new HttpError(405, `${request.method} はサポートされていません`);
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    throw new HttpError(400, 'URL のパスを解釈できません');
+  }
+
+  const relativePath = path.normalize(pathname).replace(/^[/\\]+/, '');
+  const firstSegment = relativePath.split(/[/\\]/)[0];
+  if (relativePath.startsWith('..') || firstSegment.startsWith('.') || PRIVATE_PATHS.includes(firstSegment)) {
+    throw new HttpError(404, 'ファイルが見つかりません');
+  }
+
+  let filePath = path.join(ROOT_DIR, relativePath);
+  let stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  if (stat && stat.isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+    stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  }
+  if (!stat || !stat.isFile()) {
+    throw new HttpError(404, 'ファイルが見つかりません');
+  }
+
+  const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const headers = {
+    'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Cache-Control': 'no-cache',
+    ETag: etag,
+    'Last-Modified': stat.mtime.toUTCString()
+  };
+
+  if (request.headers['if-none-match'] === etag) {
+    response.writeHead(304, headers);
+    response.end();
+    return;
+  }
+
+  response.writeHead(200, { ...headers, 'Content-Length': stat.size });
+  if (request.method === 'HEAD') {
+    response.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(response);
+}
+
+/**
+ * リクエストを処理する
+ */
+async function handleRequest(request, response) {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+
+  try {
+    if (await handleApi(request, response, url)) return;
+    if (await handleLocalPushService(request, response, url)) return;
+    serveStatic(request, response, url);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) {
+      log(`エラー (${request.method} ${url.pathname}): ${error.stack}`);
+    }
+    if (!response.headersSent) {
+      sendJson(response, status, { ok: false, error: error.message });
+    }
+  }
+}
+
+http.createServer(handleRequest).listen(SERVER_CONFIG.port, SERVER_CONFIG.host, () => {
+  log(`http://${SERVER_CONFIG.host}:${SERVER_CONFIG.port}/ で起動しました`);
+  log(`VAPID 公開鍵: ${vapidKeys.publicKey}`);
+  log(`管理トークン: ${adminToken}`);
+});
@@ -0,0 +1,79 @@
+/**
+ * JSON ファイルによる簡易データストア
+ * テスト用サーバーなのでデータベースは使わず、server/data/ 以下に JSON として保存します。
+ * server/data/ は .gitignore で除外されています（VAPID の秘密鍵を含むため）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// データの保存先ディレクトリ
+const DATA_DIR = path.join(__dirname, 'data');
+
+/**
+ * JSON ファイルを読み込む
+ * @param {string} name - ファイル名（DATA_DIR からの相対パス）
+ * @param {*} defaultValue - ファイルがない場合の値
+ * @returns {*} 読み込んだ値
+ */
+function readJson(name, defaultValue) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+}
+
+/**
+ * JSON ファイルに書き込む
+ * 書き込み途中で終了してもファイルが壊れないよう、一時ファイルに書いてから置き換える
+ * @param {string} name - ファイル名（DATA_DIR からの相対パス）
+ * @param {*} value - 保存する値
+ */
+function writeJson(name, value) {
+  const filePath = path.join(DATA_DIR, name);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(value, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * エンドポイントをキーにしたコレクション
+ * キーは外部から送られてくる値のため、プロトタイプを持たないオブジェクトで扱う
+ * （"constructor" や "__proto__" などが Object.prototype のプロパティと混同されないように）
+ * @param {string} name - ファイル名
+ * @returns {Object} コレクションの操作関数
+ */
+function createCollection(name) {
+  const readItems = () => Object.assign(Object.create(null), readJson(name, {}));
+
+  return {
+    list: () => Object.values(readItems()),
+    get(key) {
+      const items = readItems();
+      return Object.hasOwn(items, key) ? items[key] : null;
+    },
+    put(key, value) {
+      const items = readItems();
+      items[key] = value;
+      writeJson(name, items);
+    },
+    remove(key) {
+      const items = readItems();
+      const existed = Object.hasOwn(items, key);
+      delete items[key];
+      writeJson(name, items);
+      return existed;
+    }
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  readJson,
+  writeJson,
+  createCollection
+};
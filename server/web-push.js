@@ -0,0 +1,293 @@
+/**
+ * Web Push の送信処理（VAPID 署名とペイロードの暗号化）
+ * Node.js の標準モジュールだけで実装しています。
+ *
+ * - VAPID（RFC 8292）: ES256 で署名した JWT を Authorization ヘッダーに付けてプッシュサービスに送る
+ * - 暗号化（RFC 8188 / RFC 8291）: Content-Encoding: aes128gcm 形式でペイロードを暗号化する
+ *
+ * 暗号化の逆の処理（decryptPayload）は、ローカルのプッシュサービス（local-push-service.js）が
+ * 受け取ったメッセージを確認するために使います。
+ */
+
+const crypto = require('crypto');
+
+// P-256 公開鍵（非圧縮形式）のバイト数
+const PUBLIC_KEY_LENGTH = 65;
+
+// aes128gcm のレコードサイズ（ペイロードは1レコードに収める）
+const RECORD_SIZE = 4096;
+
+// 暗号化できるペイロードの最大バイト数（RFC 8291 §4）
+// プッシュサービスが受け付けるボディは4096バイトまで（ヘッダー86バイト + 区切り1バイト + 認証タグ16バイトを含む）
+const MAX_PAYLOAD_LENGTH = 3993;
+
+// VAPID の JWT の有効期間（仕様上の上限は24時間）
+const VAPID_EXPIRATION_SECONDS = 12 * 60 * 60;
+
+/**
+ * Buffer を base64url 文字列に変換する
+ * @param {Buffer} buffer - 変換するデータ
+ * @returns {string} base64url 文字列（パディングなし）
+ */
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * base64url 文字列を Buffer に変換する
+ * @param {string} value - base64url 文字列
+ * @returns {Buffer} デコードしたデータ
+ */
+function fromBase64Url(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * HKDF（RFC 5869）の Extract と Expand を1回ずつ行う
+ * 出力は32バイト以下なので Expand は1ブロックで足りる
+ * @param {Buffer} salt - ソルト
+ * @param {Buffer} ikm - 入力鍵
+ * @param {Buffer} info - 用途を表す文字列
+ * @param {number} length - 出力のバイト数
+ * @returns {Buffer} 導出した鍵
+ */
+function hkdf(salt, ikm, info, length) {
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  return crypto.createHmac('sha256', prk)
+    .update(Buffer.concat([info, Buffer.from([1])]))
+    .digest()
+    .subarray(0, length);
+}
+
+/**
+ * 非圧縮形式の P-256 鍵から KeyObject を作る
+ * @param {Buffer} publicKey - 非圧縮形式の公開鍵（65バイト）
+ * @param {Buffer} [privateKey] - 秘密鍵（32バイト）。指定した場合は秘密鍵の KeyObject を返す
+ * @returns {crypto.KeyObject} 鍵
+ */
+function createKeyObject(publicKey, privateKey) {
+  if (publicKey.length !== PUBLIC_KEY_LENGTH || publicKey[0] !== 0x04) {
+    throw new Error(`P-256 公開鍵は非圧縮形式の ${PUBLIC_KEY_LENGTH} バイトである必要があります`);
+  }
+
+  const jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(publicKey.subarray(1, 33)),
+    y: toBase64Url(publicKey.subarray(33, 65))
+  };
+
+  if (privateKey) {
+    return crypto.createPrivateKey({ key: { ...jwk, d: toBase64Url(privateKey) }, format: 'jwk' });
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * P-256 の鍵ペアを生成する
+ * @returns {{publicKey: string, privateKey: string}} base64url 形式の公開鍵（非圧縮形式）と秘密鍵
+ */
+function generateKeyPair() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+}
+
+/**
+ * VAPID の Authorization ヘッダーを作成する
+ * @param {string} endpoint - プッシュサービスのエンドポイント
+ * @param {{publicKey: string, privateKey: string, subject: string}} vapid - VAPID 鍵と連絡先
+ * @returns {string} Authorization ヘッダーの値
+ */
+function createVapidAuthorization(endpoint, vapid) {
+  const header = { typ: 'JWT', alg: 'ES256' };
+  const claims = {
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_EXPIRATION_SECONDS,
+    sub: vapid.subject
+  };
+
+  const unsignedToken = `${toBase64Url(JSON.stringify(header))}.${toBase64Url(JSON.stringify(claims))}`;
+  const key = createKeyObject(fromBase64Url(vapid.publicKey), fromBase64Url(vapid.privateKey));
+  const signature = crypto.sign('sha256', Buffer.from(unsignedToken), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${unsignedToken}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * VAPID の Authorization ヘッダーを検証する
+ * @param {string} authorization - Authorization ヘッダーの値
+ * @param {string} audience - 期待する aud（プッシュサービスのオリジン）
+ * @returns {{publicKey: string, claims: Object}} 署名した公開鍵と JWT のクレーム
+ */
+function verifyVapidAuthorization(authorization, audience) {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(authorization || '');
+  if (!match) {
+    throw new Error('Authorization ヘッダーが vapid 形式ではありません');
+  }
+
+  const [, token, publicKey] = match;
+  const [encodedHeader, encodedClaims, encodedSignature] = token.split('.');
+  if (!encodedSignature) {
+    throw new Error('JWT の形式が不正です');
+  }
+
+  const key = createKeyObject(fromBase64Url(publicKey));
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key, dsaEncoding: 'ieee-p1363' },
+    fromBase64Url(encodedSignature)
+  );
+  if (!valid) {
+    throw new Error('JWT の署名が不正です');
+  }
+
+  const claims = JSON.parse(fromBase64Url(encodedClaims).toString());
+  if (claims.aud !== audience) {
+    throw new Error(`JWT の aud が一致しません: ${claims.aud}`);
+  }
+  if (!(claims.exp > Date.now() / 1000)) {
+    throw new Error('JWT の有効期限が切れています');
+  }
+
+  return { publicKey, claims };
+}
+
+/**
+ * 暗号化に使う鍵とノンスを導出する（RFC 8291 Section 3.4）
+ * @param {Buffer} sharedSecret - ECDH の共有秘密
+ * @param {Buffer} authSecret - サブスクリプションの auth
+ * @param {Buffer} uaPublicKey - ブラウザの公開鍵（p256dh）
+ * @param {Buffer} asPublicKey - 送信側の一時公開鍵
+ * @param {Buffer} salt - ソルト
+ * @returns {{contentEncryptionKey: Buffer, nonce: Buffer}} 鍵とノンス
+ */
+function deriveContentKeys(sharedSecret, authSecret, uaPublicKey, asPublicKey, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublicKey, asPublicKey]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+  return {
+    contentEncryptionKey: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+  };
+}
+
+/**
+ * ペイロードを aes128gcm 形式で暗号化する
+ * @param {Buffer|string} payload - 送信するデータ
+ * @param {{p256dh: string, auth: string}} keys - サブスクリプションの keys
+ * @returns {Buffer} ヘッダー（salt、rs、keyid）と暗号文を連結したリクエストボディ
+ */
+function encryptPayload(payload, keys) {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_LENGTH) {
+    throw new Error(`ペイロードが大きすぎます: ${plaintext.length} バイト（上限 ${MAX_PAYLOAD_LENGTH} バイト）`);
+  }
+
+  const uaPublicKey = fromBase64Url(keys.p256dh);
+  const authSecret = fromBase64Url(keys.auth);
+  if (uaPublicKey.length !== PUBLIC_KEY_LENGTH || authSecret.length !== 16) {
+    throw new Error('サブスクリプションの keys が不正です');
+  }
+
+  // 送信ごとに一時的な鍵ペアとソルトを使う
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublicKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const sharedSecret = ecdh.computeSecret(uaPublicKey);
+  const { contentEncryptionKey, nonce } = deriveContentKeys(sharedSecret, authSecret, uaPublicKey, asPublicKey, salt);
+
+  // 最後のレコードであることを示す区切り（0x02）を付けて暗号化する
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentEncryptionKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(16 + 4 + 1);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublicKey.length, 20);
+
+  return Buffer.concat([header, asPublicKey, ciphertext]);
+}
+
+/**
+ * aes128gcm 形式のリクエストボディを復号する
+ * @param {Buffer} body - encryptPayload() の出力
+ * @param {{publicKey: string, privateKey: string, auth: string}} keys - ブラウザ側の鍵（base64url）
+ * @returns {Buffer} 復号したペイロード
+ */
+function decryptPayload(body, keys) {
+  if (body.length < 21) {
+    throw new Error('aes128gcm のヘッダーが不足しています');
+  }
+
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const asPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+  if (ciphertext.length < 17) {
+    throw new Error('暗号文が不足しています');
+  }
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(fromBase64Url(keys.privateKey));
+  const sharedSecret = ecdh.computeSecret(asPublicKey);
+  const { contentEncryptionKey, nonce } = deriveContentKeys(
+    sharedSecret, fromBase64Url(keys.auth), fromBase64Url(keys.publicKey), asPublicKey, salt
+  );
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentEncryptionKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // 末尾のパディング（0x00）と区切り（0x02）を取り除く
+  const delimiterIndex = padded.lastIndexOf(2);
+  if (delimiterIndex === -1 || padded.subarray(delimiterIndex + 1).some((byte) => byte !== 0)) {
+    throw new Error('パディングが不正です');
+  }
+  return padded.subarray(0, delimiterIndex);
+}
+
+/**
+ * プッシュメッセージを送信する
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription - 送信先のサブスクリプション
+ * @param {Object|string|null} payload - 送信するデータ（オブジェクトは JSON にする。null の場合はペイロードなし）
+ * @param {Object} options - 送信オプション
+ * @param {{publicKey: string, privateKey: string, subject: string}} options.vapid - VAPID 鍵と連絡先
+ * @param {number} [options.ttl=86400] - プッシュサービスがメッセージを保持する秒数
+ * @param {string} [options.urgency] - 'very-low'、'low'、'normal'、'high' のいずれか
+ * @returns {Promise<{status: number, body: string}>} プッシュサービスの応答
+ */
+async function sendNotification(subscription, payload, { vapid, ttl = 86400, urgency } = {}) {
+  const headers = {
+    TTL: String(ttl),
+    Authorization: createVapidAuthorization(subscription.endpoint, vapid)
+  };
+  if (urgency) {
+    headers.Urgency = urgency;
+  }
+
+  let body;
+  if (payload !== null && payload !== undefined) {
+    body = encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys);
+    headers['Content-Type'] = 'application/octet-stream';
+    headers['Content-Encoding'] = 'aes128gcm';
+  }
+
+  const response = await fetch(subscription.endpoint, { method: 'POST', headers, body });
+  return { status: response.status, body: await response.text() };
+}
+
+module.exports = {
+  toBase64Url,
+  fromBase64Url,
+  generateKeyPair,
+  createVapidAuthorization,
+  verifyVapidAuthorization,
+  encryptPayload,
+  decryptPayload,
+  sendNotification
+};
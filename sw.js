@@ -2,69 +2,215 @@
 // このファイルは PWA の核となる Service Worker です
 // ブラウザのバックグラウンドで動作し、オフライン機能やプッシュ通知などを制御します
 
-// キャッシュ名とバージョン管理
-// バージョンを変更することでキャッシュを更新できます
-const CACHE_NAME = 'pwa-test-cache-v1';
-const OFFLINE_URL = '/pwa-test/offline.html';
-
-// 事前にキャッシュするリソース一覧
-// これらのファイルは Service Worker インストール時にキャッシュされます
-const CACHE_RESOURCES = [
-  '/pwa-test/',
-  '/pwa-test/index.html',
-  '/pwa-test/manifest.json',
-  '/pwa-test/offline.html',
-  '/pwa-test/css/style.css',
-  '/pwa-test/js/app.js',
-  '/pwa-test/js/install.js',
-  '/pwa-test/js/push.js',
-  '/pwa-test/icons/icon-192x192.png',
-  '/pwa-test/icons/icon-512x512.png'
+// アプリのベースURLと主要なファイルのパス（ページと共有）
+// ベースURLは registration.scope から求めるため、任意のパスに配置できます
+importScripts('js/config.js');
+
+// Service Worker のバージョン（GET_VERSION・HANDSHAKE コマンドで返される）
+// ページと共通のビルドバージョン（js/config.js）
+const SW_VERSION = APP_VERSION;
+
+// キャッシュ名
+// アプリシェルはリビジョン付きでプリキャッシュされるため、バージョンを手動で変更する必要はありません
+const PRECACHE_NAME = 'pwa-test-precache';
+const CACHE_NAME = 'pwa-test-runtime';
+
+// ページ遷移でネットワークの応答を待つ最大秒数
+// これを過ぎるとキャッシュ済みのページ（なければアプリシェルかオフラインページ）を表示します
+const NAVIGATION_TIMEOUT_SECONDS = 3;
+
+// 事前にキャッシュするリソース一覧は sw/precache-manifest.js に自動生成されます
+// アプリシェルのファイルを編集したら以下を実行してマニフェストを更新してください
+//   node scripts/generate-precache-manifest.js
+
+// 他オリジンのリソースのキャッシュ設定（sw/cacheability.js の cross-origin ルール）
+// allowedHosts のホスト（CDN のフォントや画像など）のレスポンスだけをキャッシュします
+// それ以外のオリジンのレスポンスはどのルートでもキャッシュされません
+const CROSS_ORIGIN_CONFIG = {
+  allowedHosts: [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+  ],
+  cacheName: 'pwa-test-cross-origin'
+};
+
+// ランタイムキャッシュのルートテーブル
+// リクエストは上から順に評価され、最初に一致したルートの戦略とキャッシュで処理されます
+// match の書き方は sw/router.js、strategy の種類は sw/strategies.js を参照
+// expiration を指定したキャッシュはエントリ数（maxEntries）と保存期間（maxAgeSeconds）が制限されます（sw/expiration.js）
+// cacheability でキャッシュ可否のルールをルート単位で上書きできます（sw/cacheability.js）
+const ROUTES = [
+  {
+    // ページ（HTML）は常に最新を取得し、応答が遅い・失敗した場合のみキャッシュを使う
+    // ネットワークはナビゲーションプリロードのレスポンスを優先して使用
+    name: 'pages',
+    match: { destination: 'document' },
+    strategy: 'network-first',
+    cacheName: 'pwa-test-pages',
+    networkTimeoutSeconds: NAVIGATION_TIMEOUT_SECONDS,
+    fallbackOnTimeout: true,
+    expiration: { maxEntries: 20, maxAgeSeconds: 7 * 24 * 60 * 60 }
+  },
+  {
+    // アプリシェルの CSS / JS / アイコン等はリビジョン付きのプリキャッシュから返す
+    name: 'precache',
+    match: { precached: true, sameOrigin: true },
+    strategy: 'precache'
+  },
+  {
+    // API 的な JSON は鮮度を優先
+    name: 'api',
+    match: { urlPattern: /\/api\//, sameOrigin: true },
+    strategy: 'network-first',
+    cacheName: 'pwa-test-api',
+    networkTimeoutSeconds: 5,
+    expiration: { maxEntries: 50, maxAgeSeconds: 24 * 60 * 60 },
+    fallback: 'api'
+  },
+  {
+    // 許可された他オリジン（CDN のフォントや画像）はキャッシュ優先
+    // <img> などの no-cors リクエストは opaque レスポンスになるため、件数を制限して保存する
+    name: 'cross-origin',
+    match: { hosts: CROSS_ORIGIN_CONFIG.allowedHosts },
+    strategy: 'cache-first',
+    cacheName: CROSS_ORIGIN_CONFIG.cacheName,
+    // allowOpaqueResponse は sw/cacheability.js で定義されるため、判定時に参照する
+    cacheability: { 'response-type': (request, response) => allowOpaqueResponse(request, response) },
+    expiration: { maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60, maxOpaqueEntries: 10 }
+  },
+  {
+    // マニフェストなどの JSON はキャッシュを返しつつ裏で更新
+    name: 'json',
+    match: { urlPattern: /\.json$/, sameOrigin: true },
+    strategy: 'stale-while-revalidate',
+    cacheName: 'pwa-test-json',
+    expiration: { maxEntries: 20, maxAgeSeconds: 24 * 60 * 60 }
+  }
 ];
 
+// どのルートにも一致しなかった場合のルート（従来の Cache First 処理）
+const DEFAULT_ROUTE = {
+  name: 'default',
+  strategy: 'cache-first',
+  cacheName: CACHE_NAME,
+  expiration: { maxEntries: 100, maxAgeSeconds: 30 * 24 * 60 * 60 }
+};
+
+// オフライン時の代替レスポンス（sw/fallbacks.js）
+// 本文のファイルはプリキャッシュマニフェストに含まれ、install 時に保存されます
+// ルートごとに fallback で名前を指定（false で代替なし）、省略時は request.destination から選ばれます
+const OFFLINE_FALLBACKS = {
+  document: { url: APP_PATHS.offline, injectBase: true }, // オフラインページ
+  image: { url: 'fallbacks/image.svg' },                  // プレースホルダー画像
+  api: { url: 'fallbacks/offline.json', status: 503 },    // JSON のエラー
+  style: { url: 'fallbacks/empty.css' },                  // 空のスタイルシート
+  font: { status: 404 }                                   // 本文なしの 404（ブラウザは次の候補のフォントを使う）
+};
+
+// リクエストのアウトボックス設定（sw/outbox.js）
+// endpoints に一致する非 GET リクエストがオフラインで失敗した場合、保存して後で再送します
+const OUTBOX_CONFIG = {
+  endpoints: [/\/api\//],
+  methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+  syncTag: 'outbox-replay',
+  maxRetries: 5,
+  backoffBaseSeconds: 30,
+  maxBackoffSeconds: 60 * 60
+};
+
+// 通知のアクションの送信先（sw/notification-click.js）
+// APP_BASE_URL からの相対パス。接続できない場合はアウトボックスに保存して後で送信します
+const NOTIFICATION_ACTION_CONFIG = {
+  markReadUrl: 'api/notifications/read',   // 既読にする
+  replyUrl: 'api/notifications/reply'      // インライン返信
+};
+
+// 定期バックグラウンド同期の設定（sw/periodic-sync.js）
+// tag は js/sync.js の PERIODIC_SYNC_TAG と一致させてください
+// urls の各 URL を取得し、route に指定したルート（省略時はルートテーブルから検索）のキャッシュに保存します
+const PERIODIC_SYNC_CONFIG = {
+  tag: 'content-refresh',
+  urls: [
+    { url: './', route: 'pages' },
+    { url: 'offline.html', route: 'pages' }
+  ],
+  maxLogEntries: 20
+};
+
 // デバッグ用のログ関数
 function log(message) {
   console.log(`[Service Worker] ${message}`);
 }
 
+// 開いている全てのページにメッセージを送る
+async function broadcastMessage(message) {
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach((client) => {
+    client.postMessage(message);
+  });
+}
+
+// 機能ごとのモジュールの読み込み（ページと共有するファイルは js/ にある）
+importScripts(
+  'js/idb.js',                 // IndexedDB ヘルパー
+  'js/push-api.js',            // プッシュサーバーの API クライアント
+  'sw/precache-manifest.js',   // プリキャッシュマニフェスト（自動生成）
+  'sw/precache.js',            // プリキャッシュ
+  'sw/expiration.js',          // キャッシュの有効期限
+  'sw/cacheability.js',        // キャッシュ可否のポリシー
+  'sw/strategies.js',          // キャッシュ戦略
+  'sw/router.js',              // ルーター
+  'sw/outbox.js',              // リクエストのアウトボックス
+  'sw/sync.js',                // 同期エンジン
+  'sw/periodic-sync.js',       // 定期同期
+  'sw/messaging.js',           // ページとのメッセージ RPC
+  'sw/release.js',             // リリース情報
+  'sw/refresh.js',             // キャッシュの一括更新
+  'sw/fallbacks.js',           // オフライン時の代替レスポンス
+  'sw/push-subscription.js',   // プッシュサブスクリプションの更新
+  'sw/push-payload.js',        // プッシュ通知のペイロード
+  'sw/notification-click.js'   // 通知クリックの処理
+);
+
 // 1. Install Event - Service Worker インストール時に発火
-// この段階で必要なリソースを事前にキャッシュします
+// この段階でアプリシェルを事前にキャッシュします（前回から変更されたファイルのみ）
+// 既に動作中の Service Worker がある場合、新しい Service Worker はここで待機状態になり、
+// ページの更新バナー（js/update.js）でユーザーが承認して SKIP_WAITING を送るまでアクティブになりません
 self.addEventListener('install', (event) => {
   log('Service Worker インストール中...');
   
   // waitUntil で非同期処理の完了を待つ
   // この処理が完了するまで Service Worker のインストールは完了しません
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        log('キャッシュを開いて必要なリソースを追加中...');
-        // addAll で複数のリソースを一括でキャッシュに追加
-        return cache.addAll(CACHE_RESOURCES);
-      })
+    // 変更されたアプリシェルのファイルだけをダウンロードし、更新バナー用のリリース情報を取得
+    Promise.all([installPrecache(), loadReleaseInfo()])
       .then(() => {
         log('事前キャッシュ完了');
-        // skipWaiting() で既存の Service Worker を即座に置き換え
-        return self.skipWaiting();
       })
       .catch((error) => {
         log(`キャッシュエラー: ${error}`);
+        // プリキャッシュが揃わないままアクティブにならないよう、インストールを失敗させる
+        throw error;
       })
   );
 });
 
 // 2. Activate Event - Service Worker がアクティブになった時に発火
-// 古いキャッシュの削除などクリーンアップ処理を行います
+// 古いキャッシュやプリキャッシュの不要なエントリの削除などクリーンアップ処理を行います
 self.addEventListener('activate', (event) => {
   log('Service Worker アクティベート中...');
   
   event.waitUntil(
     // 全てのキャッシュ名を取得
     caches.keys().then((cacheNames) => {
+      // プリキャッシュとルートテーブルで使用中のキャッシュ（CACHE_NAME を含む）
+      const currentCacheNames = [PRECACHE_NAME, ...getRouteCacheNames()];
+
       // 古いキャッシュを削除する Promise の配列を作成
       const deletePromises = cacheNames
         .filter((cacheName) => {
-          // 現在のキャッシュ名以外は削除対象
-          return cacheName !== CACHE_NAME;
+          // 現在使用中のキャッシュ名以外は削除対象
+          return !currentCacheNames.includes(cacheName);
         })
         .map((cacheName) => {
           log(`古いキャッシュを削除: ${cacheName}`);
@@ -73,6 +219,25 @@ self.addEventListener('activate', (event) => {
       
       return Promise.all(deletePromises);
     })
+    .then(() => {
+      // マニフェストから削除された・古いリビジョンのエントリを削除
+      return cleanupPrecache();
+    })
+    .then(() => {
+      // ランタイムキャッシュに有効期限を適用
+      return enforceAllExpirations()
+        .catch((error) => {
+          log(`キャッシュ有効期限の適用エラー: ${error}`);
+        });
+    })
+    .then(() => {
+      // ナビゲーションプリロードを有効化
+      // ページ遷移のリクエストが Service Worker の起動を待たずに開始されるようになります
+      if (self.registration.navigationPreload) {
+        log('ナビゲーションプリロードを有効化');
+        return self.registration.navigationPreload.enable();
+      }
+    })
     .then(() => {
       log('Service Worker アクティベート完了');
       // clients.claim() で既存のページも制御下に置く
@@ -82,110 +247,54 @@ self.addEventListener('activate', (event) => {
 });
 
 // 3. Fetch Event - ネットワークリクエスト時に発火
-// キャッシュ戦略を実装してオフライン対応を行います
+// ROUTES テーブルに従ってリクエストごとにキャッシュ戦略を切り替えます
 self.addEventListener('fetch', (event) => {
-  // GET リクエストのみ処理（POST などは通常キャッシュしない）
+  // GET 以外はキャッシュしない
+  // アウトボックス対象のエンドポイントへの送信のみ、失敗時に保存して後で再送する
   if (event.request.method !== 'GET') {
+    if (isOutboxRequest(event.request)) {
+      event.respondWith(fetchOrEnqueue(event));
+    }
     return;
   }
 
-  // リクエストを横取りして独自の処理を実行
+  // ルートテーブルから対応するルートを探す
+  const route = findRoute(event.request);
+
+  // リクエストを横取りしてルートの戦略で処理
   event.respondWith(
-    // Cache First 戦略: まずキャッシュを確認し、なければネットワークから取得
-    caches.match(event.request)
-      .then((cachedResponse) => {
-        if (cachedResponse) {
-          log(`キャッシュからレスポンス: ${event.request.url}`);
-          return cachedResponse;
+    handleRoute(route, event)
+      .catch(() => {
+        // ルートの戦略で応答できなかった場合は、プリキャッシュと他のキャッシュも確認する
+        return matchPrecache(event.request)
+          .then((cachedResponse) => cachedResponse || caches.match(event.request));
+      })
+      .then((response) => {
+        if (response) {
+          return response;
         }
 
-        // キャッシュにない場合はネットワークから取得を試行
-        log(`ネットワークから取得: ${event.request.url}`);
-        return fetch(event.request)
-          .then((response) => {
-            // レスポンスが正常でない場合はそのまま返す
-            if (!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
-            }
-
-            // レスポンスをクローンしてキャッシュに保存
-            // レスポンスは一度しか読めないため、クローンが必要
-            const responseToCache = response.clone();
-            
-            caches.open(CACHE_NAME)
-              .then((cache) => {
-                cache.put(event.request, responseToCache);
-                log(`キャッシュに追加: ${event.request.url}`);
-              });
-
-            return response;
-          });
-      })
-      .catch(() => {
         // ネットワークもキャッシュも失敗した場合
         log(`オフライン: ${event.request.url}`);
         
-        // HTML リクエストの場合はオフラインページを返す
-        if (event.request.destination === 'document') {
-          return caches.match(OFFLINE_URL);
-        }
-        
-        // その他のリソースの場合はエラーを返す
-        return new Response('オフライン', {
-          status: 408,
-          statusText: 'Offline'
-        });
+        // リソースの種類に応じた代替レスポンスを返す（sw/fallbacks.js）
+        // HTML リクエストにはオフラインページ、画像にはプレースホルダー画像、API にはJSONのエラーを返す
+        // （キャッシュ済みのページやアプリシェルは上の matchPrecache / caches.match で返される）
+        // ページの URL は開こうとしたページのままなので、オフラインページは接続が戻るとそのページに戻る
+        return createFallbackResponse(route, event.request);
       })
   );
 });
 
 // 4. Push Event - プッシュ通知受信時に発火
+// ペイロードはスキーマ（sw/push-payload.js）で検証し、不正なフィールドは捨てて警告をログに残す
 self.addEventListener('push', (event) => {
-  log('プッシュ通知を受信');
-  
-  let title = 'PWAテスト';
-  let body = 'プッシュ通知のテストです';
-  let icon = '/icons/icon-192x192.png';
-  let badge = '/icons/icon-72x72.png';
-  
-  // プッシュデータがある場合は解析
-  if (event.data) {
-    try {
-      const data = event.data.json();
-      title = data.title || title;
-      body = data.body || body;
-      icon = data.icon || icon;
-      log(`プッシュデータ: ${JSON.stringify(data)}`);
-    } catch (e) {
-      log(`プッシュデータ解析エラー: ${e}`);
-      body = event.data.text() || body;
-    }
-  }
-  
-  // 通知オプション
-  const options = {
-    body: body,
-    icon: icon,
-    badge: badge,
-    vibrate: [200, 100, 200],
-    data: {
-      dateOfArrival: Date.now(),
-      primaryKey: 1
-    },
-    actions: [
-      {
-        action: 'open',
-        title: '開く',
-        icon: '/icons/icon-192x192.png'
-      },
-      {
-        action: 'close',
-        title: '閉じる',
-        icon: '/icons/icon-192x192.png'
-      }
-    ]
-  };
-  
+  const { title, options, version, warnings } = parsePushPayload(event.data);
+
+  log(`プッシュ通知を受信 (version ${version}): ${title}`);
+  warnings.forEach((warning) => log(`ペイロードの警告: ${warning}`));
+  log(`通知オプション: ${JSON.stringify(options)}`);
+
   // 通知を表示
   event.waitUntil(
     self.registration.showNotification(title, options)
@@ -198,91 +307,182 @@ self.addEventListener('push', (event) => {
   );
 });
 
+// プッシュサブスクリプションが失効・更新された時に発火
+// ページが開いていなくても新しいサブスクリプションを作成してサーバーに登録し直す（sw/push-subscription.js）
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil(handlePushSubscriptionChange(event));
+});
+
 // 5. Notification Click Event - 通知クリック時に発火
+// クリックされたアクションに対応するハンドラを実行する（sw/notification-click.js）
 self.addEventListener('notificationclick', (event) => {
-  log(`通知クリック: ${event.action}`);
+  log(`通知クリック: ${event.action || '本文'}`);
   
   // 通知を閉じる
   event.notification.close();
   
-  // アクションに応じて処理を分岐
-  if (event.action === 'close') {
-    // 何もしない
-    return;
+  event.waitUntil(handleNotificationClick(event));
+});
+
+// 通知のアクションの登録
+// 本文のクリックと 'open' はペイロードの url（なければアプリのトップページ）を開く
+registerNotificationAction('open', ({ data }) => ({ url: data.url || APP_BASE_URL }));
+
+// 'close' は通知を閉じるだけ
+registerNotificationAction('close', () => ({}));
+
+// 通知の対象メッセージ（ペイロードの data.messageId、なければ通知の tag）
+function getNotificationMessageId(notification, data) {
+  const messageId = data.custom.messageId !== undefined ? data.custom.messageId : notification.tag;
+  if (messageId === undefined || messageId === null || messageId === '') {
+    throw new Error('対象のメッセージが指定されていません（data.messageId または tag）');
+  }
+  return messageId;
+}
+
+// 既読にする（ウィンドウを開かずにサーバーに送信する）
+registerNotificationAction('mark-read', async ({ notification, data }) => {
+  const messageId = getNotificationMessageId(notification, data);
+  const { queued } = await sendNotificationActionRequest(NOTIFICATION_ACTION_CONFIG.markReadUrl, { messageId });
+  return { messageId, queued };
+});
+
+// インライン返信（type: 'text' のアクション）
+// 入力欄に未対応のブラウザでは返信を入力できないため、ペイロードの url を開いてページで返信してもらう
+registerNotificationAction('reply', async ({ notification, data, reply }) => {
+  if (!reply) {
+    return { url: data.url || APP_BASE_URL, replied: false };
   }
   
-  // アプリを開く処理
-  event.waitUntil(
-    // 既に開いているタブがあるか確認
-    clients.matchAll({
-      type: 'window',
-      includeUncontrolled: true
-    })
-    .then((clientList) => {
-      // 既に開いているタブがあればそれをフォーカス
-      for (const client of clientList) {
-        if (client.url.includes(self.location.origin) && 'focus' in client) {
-          log('既存のタブをフォーカス');
-          return client.focus();
-        }
-      }
-      
-      // 開いているタブがなければ新しいウィンドウを開く
-      if (clients.openWindow) {
-        log('新しいウィンドウを開く');
-        return clients.openWindow('/');
-      }
-    })
-  );
+  const messageId = getNotificationMessageId(notification, data);
+  const { queued } = await sendNotificationActionRequest(NOTIFICATION_ACTION_CONFIG.replyUrl, { messageId, text: reply });
+  return { messageId, replied: true, queued };
 });
 
 // 6. Background Sync Event - バックグラウンド同期時に発火
+// タグに対応する同期タスク（sw/sync.js）を実行し、結果をページに通知します
 self.addEventListener('sync', (event) => {
   log(`バックグラウンド同期: ${event.tag}`);
   
-  if (event.tag === 'test-sync') {
-    event.waitUntil(
-      // 同期処理の実行
-      performSync()
-        .then(() => {
-          log('バックグラウンド同期完了');
-        })
-        .catch((error) => {
-          log(`バックグラウンド同期エラー: ${error}`);
-        })
-    );
+  if (!hasSyncTask(event.tag)) {
+    log(`未登録の同期タグのため無視: ${event.tag}`);
+    return;
   }
+  
+  // 失敗した場合は例外を伝えてブラウザに同期の再試行を任せる
+  event.waitUntil(runSyncTask(event.tag));
 });
 
-// 同期処理の実装例
-async function performSync() {
-  try {
-    // 実際のアプリケーションでは、ここで以下のような処理を行います：
-    // - オフライン時に蓄積されたデータの送信
-    // - サーバーからの最新データの取得
-    // - ローカルデータベースの更新
-    
-    log('同期処理を実行中...');
-    
-    // 例: 簡単な API 呼び出しのシミュレーション
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    log('同期処理完了');
-    return true;
-  } catch (error) {
-    log(`同期処理エラー: ${error}`);
-    throw error;
+// 同期タスクの登録
+// アウトボックスに保存されたリクエストの再送（sw/outbox.js）
+registerSyncTask(OUTBOX_CONFIG.syncTag, ({ reportProgress }) => replayOutbox({ reportProgress }));
+
+// 定期バックグラウンド同期で実行されるコンテンツ更新（sw/periodic-sync.js）
+registerSyncTask(PERIODIC_SYNC_CONFIG.tag, refreshPeriodicContent);
+
+// 「同期テスト」ボタンから登録される同期タスク
+// 1. オフライン中に保存されたリクエストを再送
+// 2. サーバーから最新のスタートページを取得してページキャッシュを更新
+registerSyncTask('test-sync', performTestSync);
+
+async function performTestSync({ reportProgress }) {
+  await reportProgress({ completed: 0, total: 2, message: '未送信リクエストを再送中' });
+  const outbox = await replayOutbox();
+  
+  await reportProgress({ completed: 1, total: 2, message: 'サーバーから最新データを取得中' });
+  const startRequest = new Request(self.registration.scope);
+  const response = await fetch(startRequest, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`最新データの取得に失敗 (HTTP ${response.status})`);
   }
+  
+  const pagesRoute = ROUTES.find((route) => route.name === 'pages');
+  await putInCache(pagesRoute, startRequest, response);
+  
+  await reportProgress({ completed: 2, total: 2, message: '完了' });
+  return { replayed: outbox.replayed, deadLettered: outbox.deadLettered };
 }
 
-// Service Worker の更新通知
-self.addEventListener('message', (event) => {
-  log(`メッセージ受信: ${event.data.type}`);
+// 7. Periodic Background Sync Event - 定期バックグラウンド同期時に発火
+// アプリが閉じている間も、ブラウザが決めた間隔（登録時の minInterval 以上）で発火します
+self.addEventListener('periodicsync', (event) => {
+  log(`定期バックグラウンド同期: ${event.tag}`);
   
-  if (event.data && event.data.type === 'SKIP_WAITING') {
-    log('Service Worker 更新をスキップ');
-    self.skipWaiting();
+  if (!hasSyncTask(event.tag)) {
+    log(`未登録の定期同期タグのため無視: ${event.tag}`);
+    return;
   }
+  
+  event.waitUntil(runPeriodicSync(event.tag));
 });
 
+// 8. Message Event - ページからのメッセージ受信時に発火
+// type に対応するハンドラ（sw/messaging.js）を実行し、MessageChannel の port があれば結果を返信します
+self.addEventListener('message', handleMessage);
+
+// メッセージハンドラの登録
+// Service Worker の更新通知（待機中の Service Worker をすぐにアクティブにする）
+registerMessageHandler('SKIP_WAITING', () => {
+  log('Service Worker 更新をスキップ');
+  return self.skipWaiting();
+});
+
+// 待機中の Service Worker のリリース情報（sw/release.js）
+registerMessageHandler('GET_RELEASE_INFO', loadReleaseInfo);
+
+// バージョン情報
+registerMessageHandler('GET_VERSION', () => ({
+  version: SW_VERSION,
+  precacheEntries: getPrecacheEntries().length,
+  scope: self.registration.scope,
+  baseUrl: APP_BASE_URL
+}));
+
+// バージョンの交換（js/version.js）
+// ページのバージョンを受け取り、このService Workerのバージョンと互換性の判定結果を返す
+registerMessageHandler('HANDSHAKE', ({ version }) => {
+  const pageCompatible = isCompatibleVersion(version);
+  log(`バージョン交換: ページ ${version} / Service Worker ${SW_VERSION}${pageCompatible ? '' : ' (ページと互換性なし)'}`);
+
+  return {
+    version: SW_VERSION,
+    minCompatibleVersion: APP_MIN_COMPATIBLE_VERSION,
+    pageCompatible
+  };
+});
+
+// キャッシュの統計・一覧・削除
+registerMessageHandler('GET_CACHE_STATS', getCacheStats);
+registerMessageHandler('LIST_CACHED_URLS', listCachedUrls);
+registerMessageHandler('CLEAR_CACHE', clearCache);
+
+// ストレージ使用量が多い時のキャッシュ削減（sw/expiration.js）
+registerMessageHandler('PRUNE_CACHES', pruneCaches);
+
+// ランタイムキャッシュを条件付きリクエストで一括更新（sw/refresh.js）
+// 進捗は CACHE_REFRESH_PROGRESS メッセージで通知される
+registerMessageHandler('REFRESH_CACHES', refreshCaches);
+
+// キャッシュインスペクターの「再取得」: 1エントリをネットワークから取得し直す（sw/refresh.js）
+registerMessageHandler('REFETCH_ENTRY', refetchCacheEntry);
+
+// 同期タスクを今すぐ実行
+// Background Sync API 未対応ブラウザでの代替方式（js/sync.js）でも、
+// オンライン復帰時やページ表示時に保留中の同期タスクの実行を要求される
+registerMessageHandler('RUN_SYNC', ({ tag }) => runPendingSyncTag(tag));
+
+// 前回の Service Worker の終了で再送の予約が失われていても、起動時に未送信のリクエストがあれば同期を登録する
+resumeOutbox()
+  .catch((error) => {
+    log(`アウトボックスの確認エラー: ${error}`);
+  });
+
+// Background Sync API 未対応ブラウザでは、Service Worker の起動時にも保留中の同期タスクを実行する
+if (!('sync' in self.registration)) {
+  flushPendingSyncTags()
+    .catch((error) => {
+      log(`保留中の同期タスクの実行エラー: ${error}`);
+    });
+}
+
 log('Service Worker ファイル読み込み完了');
\ No newline at end of file
@@ -0,0 +1,118 @@
+// キャッシュ可否の判定ポリシー
+// 各キャッシュ戦略は cache.put の前に checkCacheability() を呼び出し、
+// ユーザー固有のレスポンスなどが別のセッションに漏れないようにします
+//
+// ルールは「名前 → 判定関数」の対応表です
+// 判定関数は (request, response) を受け取り、キャッシュしてはいけない理由（文字列）か null を返します
+//
+// ルールの上書き:
+// - 全体: registerCacheabilityRule(name, rule) で追加・置き換え、rule に false を渡すと無効化
+// - ルート単位: ROUTES の cacheability に { ルール名: false | 判定関数 } を指定
+//
+// 他オリジンのレスポンスは CROSS_ORIGIN_CONFIG.allowedHosts（sw.js）のホストのみ保存します
+// - cors:   サーバーが共有を許可しているため、同一オリジンと同じルールで判定
+// - opaque: 中身もステータスも読めず、ブラウザは1件ごとに大きなサイズとして容量を計上するため、
+//           ルートで allowOpaqueResponse を指定した場合のみ保存（件数は expiration.maxOpaqueEntries で制限）
+
+// Cache-Control ヘッダーのディレクティブを小文字の配列で返す
+function getCacheControlDirectives(headers) {
+  return (headers.get('Cache-Control') || '')
+    .split(',')
+    .map((directive) => directive.trim().toLowerCase().split('=')[0])
+    .filter(Boolean);
+}
+
+// 標準のルール
+const CACHEABILITY_RULES = {
+  // 200 以外（エラーや部分レスポンス）は保存しない
+  // opaque レスポンスのステータスは常に 0 のため、response-type ルールで判定する
+  'status': (request, response) => {
+    return response.status === 200 || response.type === 'opaque' ? null : `ステータス ${response.status}`;
+  },
+
+  // 同一オリジン（basic）と CORS（cors）のみ保存する
+  // opaque はルートの cacheability で allowOpaqueResponse を指定した場合のみ
+  'response-type': (request, response) => {
+    return ['basic', 'cors'].includes(response.type) ? null : `レスポンスタイプ ${response.type}`;
+  },
+
+  // 許可リストにないホストのレスポンスは保存しない
+  'cross-origin': (request) => {
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin || CROSS_ORIGIN_CONFIG.allowedHosts.includes(url.host)) {
+      return null;
+    }
+    return `許可されていないオリジン ${url.origin}`;
+  },
+
+  // サーバーが保存を禁止している
+  'no-store': (request, response) => {
+    return getCacheControlDirectives(response.headers).includes('no-store')
+      ? 'Cache-Control: no-store'
+      : null;
+  },
+
+  // 特定ユーザー向けのレスポンス
+  'private': (request, response) => {
+    return getCacheControlDirectives(response.headers).includes('private')
+      ? 'Cache-Control: private'
+      : null;
+  },
+
+  // Vary: * はどのリクエストにも一致させられない
+  // Cookie / Authorization で変わるレスポンスはユーザー固有のため保存しない
+  'vary': (request, response) => {
+    const varyHeaders = (response.headers.get('Vary') || '')
+      .split(',')
+      .map((header) => header.trim().toLowerCase())
+      .filter(Boolean);
+
+    const unsafeHeader = varyHeaders.find((header) => ['*', 'cookie', 'authorization'].includes(header));
+    return unsafeHeader ? `Vary: ${unsafeHeader}` : null;
+  },
+
+  // Cookie を発行するレスポンスはセッション固有
+  // ブラウザは通常 Set-Cookie を Service Worker に公開しませんが、見える場合は保存しない
+  'set-cookie': (request, response) => {
+    return response.headers.has('Set-Cookie') ? 'Set-Cookie ヘッダーあり' : null;
+  },
+
+  // 認証付きリクエストへのレスポンスはユーザー固有
+  'authorization': (request) => {
+    return request.headers.has('Authorization') ? 'Authorization 付きリクエスト' : null;
+  }
+};
+
+// opaque レスポンスも保存を許可する response-type ルール（ルートの cacheability で指定）
+function allowOpaqueResponse(request, response) {
+  return ['basic', 'cors', 'opaque'].includes(response.type) ? null : `レスポンスタイプ ${response.type}`;
+}
+
+// ルールを追加・置き換え・無効化（false）する
+function registerCacheabilityRule(name, rule) {
+  CACHEABILITY_RULES[name] = rule;
+}
+
+// レスポンスをキャッシュしてよいか判定する
+// overrides はルート単位の上書き（ROUTES の cacheability）
+// 戻り値: { cacheable: boolean, rule: 該当ルール名, reason: 理由 }
+function checkCacheability(request, response, overrides = {}) {
+  if (!response) {
+    return { cacheable: false, rule: 'response', reason: 'レスポンスなし' };
+  }
+
+  const rules = { ...CACHEABILITY_RULES, ...overrides };
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (typeof rule !== 'function') {
+      continue;
+    }
+
+    const reason = rule(request, response);
+    if (reason) {
+      return { cacheable: false, rule: name, reason };
+    }
+  }
+
+  return { cacheable: true, rule: null, reason: null };
+}
@@ -0,0 +1,171 @@
+// ランタイムキャッシュの有効期限管理
+// ROUTES の expiration 設定（maxEntries / maxAgeSeconds）に従ってキャッシュのエントリを削除します
+//
+// - maxAgeSeconds: 保存してから指定秒数を過ぎたエントリを削除
+// - maxEntries:    エントリ数が上限を超えた場合、最後に使われた時刻が古いものから削除（LRU）
+// - maxOpaqueEntries: opaque レスポンス（他オリジンの no-cors リクエスト）の件数の上限（LRU）
+//                  opaque レスポンスはサイズが分からないため、ブラウザは1件ごとに大きなサイズとして容量を計上します
+//
+// 各エントリの保存時刻（storedAt）と最終アクセス時刻（accessedAt）は
+// IndexedDB の 'cache-timestamps' ストア（js/idb.js）に記録されます
+// 期限の適用はキャッシュへの書き込み時と activate 時に行われます
+// 同じキャッシュへの適用は1つずつ順に実行します（並行すると両方が上限未満と数えて上限を超えるため）
+
+// キャッシュ名ごとの最後に予約された期限の適用
+const expirationQueues = new Map();
+
+// 削除件数の累計の最後に予約された更新（読み込み・加算・書き込みを1つずつ行うため）
+let evictionReportQueue = Promise.resolve();
+
+// タイムスタンプレコードの主キー
+function getTimestampId(cacheName, url) {
+  return `${cacheName}|${url}`;
+}
+
+// キャッシュへの書き込み時に保存時刻と最終アクセス時刻を記録する
+// opaque はレスポンスが opaque かどうか（maxOpaqueEntries の対象）
+async function recordCacheWrite(cacheName, url, { opaque = false } = {}) {
+  const now = Date.now();
+  await idbPut('cache-timestamps', {
+    id: getTimestampId(cacheName, url),
+    cacheName,
+    url,
+    opaque,
+    storedAt: now,
+    accessedAt: now
+  });
+}
+
+// キャッシュから返した時に最終アクセス時刻を更新する（LRU 判定用）
+async function recordCacheAccess(cacheName, url) {
+  const id = getTimestampId(cacheName, url);
+  const record = await idbGet('cache-timestamps', id);
+  if (!record) {
+    return;
+  }
+
+  record.accessedAt = Date.now();
+  await idbPut('cache-timestamps', record);
+}
+
+// 1つのキャッシュに有効期限ポリシーを適用し、削除したエントリ数を返す
+// 同じキャッシュで実行中の適用があれば、その完了を待ってから実行する
+function enforceExpiration(cacheName, policy) {
+  const previous = expirationQueues.get(cacheName) || Promise.resolve();
+  const run = previous
+    .catch(() => {})
+    .then(() => runExpiration(cacheName, policy));
+
+  expirationQueues.set(cacheName, run);
+  run
+    .finally(() => {
+      if (expirationQueues.get(cacheName) === run) {
+        expirationQueues.delete(cacheName);
+      }
+    })
+    .catch(() => {});
+
+  return run;
+}
+
+// 有効期限ポリシーを適用する（enforceExpiration() から順番に呼ばれる）
+async function runExpiration(cacheName, policy) {
+  const cache = await caches.open(cacheName);
+  const cachedUrls = (await cache.keys()).map((request) => request.url);
+  const records = await idbGetAll('cache-timestamps', 'cacheName', cacheName);
+  const now = Date.now();
+
+  // キャッシュから消えているエントリのレコードを削除
+  const orphanRecords = records.filter((record) => !cachedUrls.includes(record.url));
+  await Promise.all(orphanRecords.map((record) => idbDelete('cache-timestamps', record.id)));
+
+  // レコードのないエントリ（この機能の導入前に保存されたもの等）は今保存されたものとして扱う
+  const recordedUrls = records.map((record) => record.url);
+  const liveRecords = records.filter((record) => cachedUrls.includes(record.url));
+  for (const url of cachedUrls.filter((cachedUrl) => !recordedUrls.includes(cachedUrl))) {
+    await recordCacheWrite(cacheName, url);
+    liveRecords.push({ id: getTimestampId(cacheName, url), cacheName, url, storedAt: now, accessedAt: now });
+  }
+
+  // 期限切れのエントリ
+  const expired = policy.maxAgeSeconds
+    ? liveRecords.filter((record) => now - record.storedAt > policy.maxAgeSeconds * 1000)
+    : [];
+
+  // 上限を超えた分は最終アクセスが古い順に削除
+  const remaining = liveRecords
+    .filter((record) => !expired.includes(record))
+    .sort((a, b) => b.accessedAt - a.accessedAt);
+  const overflow = policy.maxEntries ? remaining.slice(policy.maxEntries) : [];
+
+  // opaque レスポンスの上限を超えた分も最終アクセスが古い順に削除
+  const opaqueOverflow = policy.maxOpaqueEntries !== undefined
+    ? remaining.filter((record) => record.opaque && !overflow.includes(record)).slice(policy.maxOpaqueEntries)
+    : [];
+
+  const evicted = [...expired, ...overflow, ...opaqueOverflow];
+  await Promise.all(evicted.map(async (record) => {
+    await cache.delete(record.url);
+    await idbDelete('cache-timestamps', record.id);
+    log(`キャッシュ期限切れで削除 (${cacheName}): ${record.url}`);
+  }));
+
+  if (evicted.length > 0) {
+    await reportEvictions(cacheName, evicted.length);
+  }
+
+  return evicted.length;
+}
+
+// 有効期限が設定された全てのルートにポリシーを適用する（activate 時）
+// 削除済みのキャッシュに残ったタイムスタンプレコードもここで掃除します
+async function enforceAllExpirations() {
+  const routes = [...ROUTES, DEFAULT_ROUTE].filter((route) => route.cacheName && route.expiration);
+  let total = 0;
+
+  for (const route of routes) {
+    total += await enforceExpiration(route.cacheName, route.expiration);
+  }
+
+  const cacheNames = await caches.keys();
+  const staleRecords = (await idbGetAll('cache-timestamps'))
+    .filter((record) => !cacheNames.includes(record.cacheName));
+  await Promise.all(staleRecords.map((record) => idbDelete('cache-timestamps', record.id)));
+
+  log(`キャッシュ有効期限の適用完了: ${total} 件削除`);
+  return total;
+}
+
+// 削除件数を累計してページに通知する
+// 累計は IndexedDB の 'meta' ストアに保存され、ページのデバッグ情報に表示されます
+function reportEvictions(cacheName, count) {
+  evictionReportQueue = evictionReportQueue
+    .catch(() => {})
+    .then(async () => {
+      const record = await idbGet('meta', 'evictedEntries');
+      const total = (record ? record.value : 0) + count;
+      await idbPut('meta', { key: 'evictedEntries', value: total });
+
+      await broadcastMessage({ type: 'CACHE_EVICTED', cacheName, count, total });
+    });
+
+  return evictionReportQueue;
+}
+
+// ストレージ使用量が警告しきい値を超えた時に、ランタイムキャッシュを通常より小さい上限まで削減する
+// ページ（js/storage.js）から PRUNE_CACHES メッセージで要求されます
+// 各ルートの maxEntries に ratio を掛けた件数まで、最終アクセスが古い順に削除します（プリキャッシュは対象外）
+async function pruneCaches({ ratio = 0.5 } = {}) {
+  const routes = [...ROUTES, DEFAULT_ROUTE].filter((route) => route.cacheName && route.expiration);
+  let total = 0;
+
+  for (const route of routes) {
+    const maxEntries = route.expiration.maxEntries
+      ? Math.floor(route.expiration.maxEntries * ratio)
+      : undefined;
+    total += await enforceExpiration(route.cacheName, { ...route.expiration, maxEntries });
+  }
+
+  log(`ストレージ削減のためキャッシュを整理: ${total} 件削除 (上限 x${ratio})`);
+  return { evicted: total };
+}
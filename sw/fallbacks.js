@@ -0,0 +1,74 @@
+// オフライン時の代替レスポンス
+// ネットワークとキャッシュの両方から取得できなかったリクエストに、リソースの種類に応じた代替レスポンスを返します
+// 代替レスポンスの本文はプリキャッシュ（sw/precache.js）から返すため、install 時に必ず保存されています
+//
+// 使われる代替レスポンスは次の順で決まります
+// 1. ルートの fallback（OFFLINE_FALLBACKS のキー、または false で代替なし）
+// 2. request.destination に対応する FALLBACK_DESTINATIONS の値
+// どちらもなければ 408 を返します
+//
+// OFFLINE_FALLBACKS（sw.js）の各項目:
+// - url:         プリキャッシュされた本文の URL（APP_BASE_URL からの相対パス）。省略時は本文なし
+// - status:      レスポンスのステータス（省略時は 200）
+// - injectBase:  true の場合、HTML に <base> を挿入する（オフラインページ用）
+
+// request.destination と代替レスポンスの対応
+const FALLBACK_DESTINATIONS = {
+  document: 'document',
+  image: 'image',
+  style: 'style',
+  font: 'font'
+};
+
+// ルートとリクエストに対応する代替レスポンスの名前
+function selectFallback(route, request) {
+  if (route && route.fallback !== undefined) {
+    return route.fallback || null;
+  }
+  return FALLBACK_DESTINATIONS[request.destination] || null;
+}
+
+// 代替レスポンスを作成する
+async function createFallbackResponse(route, request) {
+  const name = selectFallback(route, request);
+  const fallback = name && OFFLINE_FALLBACKS[name];
+
+  // 本文のない代替レスポンス（空のファイルは壊れたリソースとして扱われる種類のもの）
+  if (fallback && !fallback.url) {
+    log(`代替レスポンスを返す (${name}): ${request.url}`);
+    return new Response(null, {
+      status: fallback.status || 200,
+      headers: { 'X-Offline-Fallback': name }
+    });
+  }
+  const cachedResponse = fallback && await matchPrecache(resolveAppUrl(fallback.url));
+
+  if (!cachedResponse) {
+    if (name) {
+      log(`代替レスポンスがプリキャッシュにありません (${name}): ${request.url}`);
+    }
+    return new Response('オフライン', {
+      status: 408,
+      statusText: 'Offline'
+    });
+  }
+
+  log(`代替レスポンスを返す (${name}): ${request.url}`);
+
+  // オフラインページは開こうとしたページの URL のまま表示されるため、
+  // <base> でアプリのベースURLを指定し、ページ内の相対パス（js/ など）がどの URL でも解決できるようにする
+  // それ以外（画像などのバイナリを含む）は本文をそのまま使う
+  const body = fallback.injectBase
+    ? (await cachedResponse.text()).replace('<head>', `<head>\n  <base href="${APP_BASE_URL}">`)
+    : await cachedResponse.arrayBuffer();
+
+  // <base> を挿入すると長さが変わるため、保存時の Content-Length は引き継がない
+  const headers = new Headers(cachedResponse.headers);
+  headers.delete('Content-Length');
+  headers.set('X-Offline-Fallback', name);
+
+  return new Response(body, {
+    status: fallback.status || 200,
+    headers
+  });
+}
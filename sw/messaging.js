@@ -0,0 +1,93 @@
+// ページとのメッセージ RPC
+// メッセージの type ごとにハンドラを登録し、message イベントで対応するハンドラを実行します
+//
+// メッセージ形式（ページ側は js/messaging.js）:
+//   リクエスト: { id, type, payload }       MessageChannel の port2 を添えて送信される
+//   レスポンス: { id, ok: true, result }    または { id, ok: false, error }
+// port を添えずに送られたメッセージ（SKIP_WAITING など）はハンドラを実行するだけで返信しません
+//
+// ハンドラは (payload, event) を受け取り、結果（またはその Promise）を返します
+// 結果は postMessage で送れる値（structured clone 可能な値）である必要があります
+
+// メッセージ type とハンドラの対応表
+const MESSAGE_HANDLERS = {};
+
+// メッセージハンドラを登録する
+function registerMessageHandler(type, handler) {
+  MESSAGE_HANDLERS[type] = handler;
+}
+
+// message イベントを処理し、port があれば結果を返信する
+function handleMessage(event) {
+  const message = event.data || {};
+  const port = event.ports && event.ports[0];
+  const handler = MESSAGE_HANDLERS[message.type];
+
+  log(`メッセージ受信: ${message.type}${message.id ? ` (#${message.id})` : ''}`);
+
+  const resultPromise = handler
+    ? Promise.resolve().then(() => handler(message.payload || {}, event))
+    : Promise.reject(new Error(`未知のメッセージ: ${message.type}`));
+
+  const replyPromise = resultPromise
+    .then((result) => {
+      if (port) {
+        port.postMessage({ id: message.id, ok: true, result });
+      }
+    })
+    .catch((error) => {
+      log(`メッセージ処理エラー (${message.type}): ${error.message}`);
+      if (port) {
+        port.postMessage({ id: message.id, ok: false, error: error.message });
+      }
+    });
+
+  // 処理が終わるまで Service Worker を終了させない
+  event.waitUntil(replyPromise);
+}
+
+// 各キャッシュのエントリ数
+async function getCacheStats() {
+  const cacheNames = await caches.keys();
+  const stats = await Promise.all(cacheNames.map(async (cacheName) => {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    return { cacheName, entries: requests.length };
+  }));
+
+  return {
+    caches: stats,
+    totalEntries: stats.reduce((sum, stat) => sum + stat.entries, 0)
+  };
+}
+
+// キャッシュを削除する
+// cacheName を省略した場合はプリキャッシュ以外の全てのキャッシュを削除
+async function clearCache({ cacheName }) {
+  const targets = cacheName
+    ? [cacheName]
+    : (await caches.keys()).filter((name) => name !== PRECACHE_NAME);
+
+  const deleted = [];
+  for (const name of targets) {
+    if (await caches.delete(name)) {
+      deleted.push(name);
+      log(`キャッシュを削除: ${name}`);
+    }
+  }
+
+  return { deleted };
+}
+
+// キャッシュされている URL の一覧（キャッシュ名 → URL の配列）
+async function listCachedUrls({ cacheName }) {
+  const cacheNames = cacheName ? [cacheName] : await caches.keys();
+  const result = {};
+
+  for (const name of cacheNames) {
+    const cache = await caches.open(name);
+    result[name] = (await cache.keys()).map((request) => request.url);
+  }
+
+  return result;
+}
@@ -0,0 +1,105 @@
+// 通知クリックの処理
+// notificationclick で、クリックされたアクション（event.action）に対応するハンドラを実行します
+// 本文のクリック（event.action が空）と未登録のアクションは、ペイロードの url（notification.data.url）を開きます
+//
+// ハンドラは { action, notification, data, reply } を受け取り、結果（オブジェクト）を返す Promise を返します
+// - data:  notification.data（sw/push-payload.js の payloadVersion / url / custom）
+// - reply: インライン返信（type: 'text' のアクション）で入力された文字列。未対応のブラウザでは null
+// 結果に url を含めるとそのページを開き、含めなければウィンドウを開かずにバックグラウンドで完了します
+// 結果は NOTIFICATION_ACTION メッセージで開いているページに通知されます（js/push.js）
+
+// アクション ID とハンドラの対応表
+const NOTIFICATION_ACTIONS = {};
+
+// 通知のアクションを登録する
+function registerNotificationAction(action, handler) {
+  NOTIFICATION_ACTIONS[action] = handler;
+}
+
+// 通知に保存されたデータ（古い通知やテスト通知では url がないこともある）
+function getNotificationData(notification) {
+  const data = notification.data || {};
+  return {
+    payloadVersion: data.payloadVersion || null,
+    url: data.url || null,
+    custom: data.custom || {}
+  };
+}
+
+// URL を開く
+// 同じ URL のタブがあればフォーカスし、なければアプリのタブを移動させ、アプリのタブもなければ新しいウィンドウを開く
+async function openNotificationUrl(url) {
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const appClients = clientList.filter((client) => isAppUrl(client.url));
+
+  const sameUrlClient = appClients.find((client) => client.url === url);
+  if (sameUrlClient) {
+    log(`既存のタブをフォーカス: ${url}`);
+    return sameUrlClient.focus();
+  }
+
+  // 移動できるのはアプリ内の URL だけ（他オリジンは新しいウィンドウで開く）
+  const targetClient = appClients.find((client) => client.focused) || appClients[0];
+  if (targetClient && isAppUrl(url)) {
+    const focusedClient = await targetClient.focus();
+    try {
+      // この Service Worker が制御していないタブは navigate() できない
+      const navigatedClient = await focusedClient.navigate(url);
+      if (navigatedClient) {
+        log(`既存のタブを移動: ${url}`);
+        return navigatedClient;
+      }
+    } catch (error) {
+      log(`タブの移動に失敗: ${error.message}`);
+    }
+  }
+
+  log(`新しいウィンドウを開く: ${url}`);
+  return clients.openWindow(url);
+}
+
+// プッシュサーバーに送信する（接続できなければアウトボックスに保存して後で送信する）
+// 戻り値: { queued } - アウトボックスに保存した場合は true
+async function sendNotificationActionRequest(path, body) {
+  try {
+    await requestPushApi(path, 'POST', body);
+    return { queued: false };
+  } catch (error) {
+    if (error.status !== null) {
+      throw error;
+    }
+
+    await enqueueRequest(createPushApiRequest(path, 'POST', body));
+    log(`接続できないためアウトボックスに保存: ${path}`);
+    return { queued: true };
+  }
+}
+
+// notificationclick イベントの処理
+async function handleNotificationClick(event) {
+  const { notification } = event;
+  const action = event.action || '';
+  const data = getNotificationData(notification);
+  const handler = NOTIFICATION_ACTIONS[action];
+  const message = { type: 'NOTIFICATION_ACTION', action, tag: notification.tag || null, state: 'success', result: null, error: null };
+
+  try {
+    // 結果を返さないハンドラは、ウィンドウを開かずに完了したものとして扱う
+    const result = handler
+      ? (await handler({ action, notification, data, reply: event.reply || null })) || {}
+      : { url: data.url || APP_BASE_URL };
+
+    if (result.url) {
+      await openNotificationUrl(result.url);
+    }
+
+    message.result = result;
+    log(`通知アクション完了 (${action || '本文'}): ${JSON.stringify(result)}`);
+  } catch (error) {
+    message.state = 'failure';
+    message.error = error.message;
+    log(`通知アクション失敗 (${action || '本文'}): ${error.message}`);
+  }
+
+  await broadcastMessage(message);
+}
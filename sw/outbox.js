@@ -0,0 +1,213 @@
+// リクエストのアウトボックス
+// OUTBOX_CONFIG.endpoints に一致する POST / PUT / DELETE 等がネットワークエラーで失敗した場合、
+// リクエストを IndexedDB の 'outbox' ストアに保存し、バックグラウンド同期で順番に再送します
+//
+// 再送のルール:
+// - 保存された順（id 順）に送信し、再試行待ち（バックオフ中）のエントリがあればそこで止める（順序を守るため）
+// - 送信に失敗したらそこで止めて例外を投げ、ブラウザに同期の再試行を任せる
+// - 再試行待ちで止まった場合は失敗扱いにせず、待ち時間が過ぎた頃に同期を登録し直す
+// - ネットワークエラー・5xx・408・429 は再試行。待ち時間は指数バックオフ（backoffBaseSeconds * 2^(試行回数-1)）
+// - maxRetries 回失敗したもの、再試行しても無駄な 4xx はデッドレター（'outbox-dead-letter' ストア）へ移動
+// デッドレターはページから window.PWATest.getDeadLetters() で確認できます
+
+// 非 GET リクエストがアウトボックスの対象か
+function isOutboxRequest(request) {
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return false;
+  }
+
+  if (!OUTBOX_CONFIG.methods.includes(request.method)) {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return false;
+  }
+
+  return OUTBOX_CONFIG.endpoints.some((pattern) => pattern.test(url.pathname));
+}
+
+// リクエストを IndexedDB に保存できる形に変換する
+async function serializeRequest(request) {
+  const body = await request.arrayBuffer();
+
+  return {
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers.entries()],
+    body: body.byteLength > 0 ? body : null,
+    credentials: request.credentials
+  };
+}
+
+// 保存したエントリから Request を復元する
+function deserializeRequest(entry) {
+  return new Request(entry.url, {
+    method: entry.method,
+    headers: entry.headers,
+    body: entry.body,
+    credentials: entry.credentials
+  });
+}
+
+// 再試行までの待ち時間（ミリ秒）
+function getBackoffDelay(attempts) {
+  const seconds = OUTBOX_CONFIG.backoffBaseSeconds * Math.pow(2, attempts - 1);
+  return Math.min(seconds, OUTBOX_CONFIG.maxBackoffSeconds) * 1000;
+}
+
+// 失敗したリクエストをアウトボックスに追加し、バックグラウンド同期を登録する
+async function enqueueRequest(request) {
+  const now = Date.now();
+  const entry = {
+    ...(await serializeRequest(request)),
+    createdAt: now,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null
+  };
+
+  const id = await idbPut('outbox', entry);
+  log(`アウトボックスに追加 (#${id}): ${entry.method} ${entry.url}`);
+
+  await registerOutboxSync();
+  return id;
+}
+
+// アウトボックス再送用のバックグラウンド同期を登録する
+// Background Sync API 未対応のブラウザでは代替方式で実行されます（sw/sync.js）
+function registerOutboxSync() {
+  return requestSync(OUTBOX_CONFIG.syncTag);
+}
+
+// 非 GET リクエストを送信し、ネットワークエラーの場合はアウトボックスに保存して 202 を返す
+async function fetchOrEnqueue(event) {
+  // 送信で body が消費されるため、保存用に先に複製しておく
+  const requestCopy = event.request.clone();
+
+  try {
+    return await fetch(event.request);
+  } catch (error) {
+    log(`送信失敗 - アウトボックスに保存: ${event.request.method} ${event.request.url} (${error})`);
+    const id = await enqueueRequest(requestCopy);
+
+    return new Response(JSON.stringify({ queued: true, outboxId: id }), {
+      status: 202,
+      statusText: 'Accepted',
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// エントリをデッドレターに移動する
+async function moveToDeadLetter(entry, reason) {
+  await idbPut('outbox-dead-letter', { ...entry, failedAt: Date.now(), reason });
+  await idbDelete('outbox', entry.id);
+  log(`デッドレターに移動 (#${entry.id}): ${reason}`);
+}
+
+// 再試行しても結果が変わらないステータスか
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// 再試行待ちのエントリが送信できるようになった頃に同期を登録し直す
+// Service Worker が先に終了した場合は、次の起動時の resumeOutbox() で登録される
+let outboxRetryTimerId = null;
+
+function scheduleOutboxRetry(nextAttemptAt) {
+  clearTimeout(outboxRetryTimerId);
+  const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+  outboxRetryTimerId = setTimeout(() => {
+    outboxRetryTimerId = null;
+    registerOutboxSync().catch((error) => {
+      log(`アウトボックス再送の同期登録エラー: ${error}`);
+    });
+  }, delay);
+  log(`アウトボックスの再送を予約: ${new Date(nextAttemptAt).toLocaleString()}`);
+}
+
+// アウトボックスにエントリが残っていれば同期を登録する（Service Worker の起動時に呼ばれる）
+async function resumeOutbox() {
+  const entries = await idbGetAll('outbox');
+  if (entries.length > 0) {
+    log(`アウトボックスに未送信のリクエストが ${entries.length} 件あるため同期を登録`);
+    await registerOutboxSync();
+  }
+}
+
+// アウトボックスのリクエストを保存順に再送する
+// 送信に失敗したエントリがあった場合は例外を投げ、ブラウザに同期の再試行を任せます
+// reportProgress を渡すと1件処理するごとに進捗を通知します（sw/sync.js）
+async function replayOutbox({ reportProgress } = {}) {
+  const entries = (await idbGetAll('outbox')).sort((a, b) => a.id - b.id);
+  const result = { replayed: 0, deadLettered: 0, failed: 0, waiting: false, remaining: 0 };
+  let nextAttemptAt = null;
+
+  log(`アウトボックス再送開始: ${entries.length} 件`);
+
+  for (const [index, entry] of entries.entries()) {
+    if (reportProgress) {
+      await reportProgress({ completed: index, total: entries.length, message: `${entry.method} ${entry.url}` });
+    }
+
+    if (entry.nextAttemptAt > Date.now()) {
+      log(`再試行待ち (#${entry.id}) - ${new Date(entry.nextAttemptAt).toLocaleString()} 以降`);
+      result.waiting = true;
+      nextAttemptAt = entry.nextAttemptAt;
+      break;
+    }
+
+    try {
+      const response = await fetch(deserializeRequest(entry));
+
+      if (response.ok) {
+        await idbDelete('outbox', entry.id);
+        result.replayed++;
+        log(`再送成功 (#${entry.id}): ${entry.method} ${entry.url}`);
+        continue;
+      }
+
+      if (!isRetryableStatus(response.status)) {
+        await moveToDeadLetter(entry, `HTTP ${response.status}`);
+        result.deadLettered++;
+        continue;
+      }
+
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = String(error);
+
+      if (entry.attempts >= OUTBOX_CONFIG.maxRetries) {
+        await moveToDeadLetter(entry, `${entry.attempts} 回失敗: ${entry.lastError}`);
+        result.deadLettered++;
+        continue;
+      }
+
+      entry.nextAttemptAt = Date.now() + getBackoffDelay(entry.attempts);
+      await idbPut('outbox', entry);
+      result.failed++;
+      log(`再送失敗 (#${entry.id}, ${entry.attempts} 回目): ${entry.lastError}`);
+      break;
+    }
+  }
+
+  result.remaining = (await idbGetAll('outbox')).length;
+  log(`アウトボックス再送終了: 成功 ${result.replayed} 件 / デッドレター ${result.deadLettered} 件 / 残り ${result.remaining} 件`);
+
+  await broadcastMessage({ type: 'OUTBOX_REPLAYED', ...result });
+
+  if (result.failed > 0) {
+    throw new Error(`アウトボックスのリクエストの再送に失敗しました（残り ${result.remaining} 件）`);
+  }
+
+  // 再試行待ちで止まった場合は、この同期は成功として終え、待ち時間の後に登録し直す
+  if (result.waiting) {
+    scheduleOutboxRetry(nextAttemptAt);
+  }
+
+  return result;
+}
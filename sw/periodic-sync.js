@@ -0,0 +1,77 @@
+// 定期バックグラウンド同期（Periodic Background Sync）
+// アプリが閉じている間もブラウザが定期的に periodicsync イベントを発火させるので、
+// PERIODIC_SYNC_CONFIG.urls のコンテンツを取得してランタイムキャッシュを更新します
+//
+// 同期タスク（sw/sync.js）として登録されるため、実行状況は SYNC_STATUS でページに通知されます
+// 各回の実行結果は IndexedDB の 'periodic-sync-log' ストアに記録され、ページの定期同期カードに表示されます
+
+// 1つの URL を取得し、対応するルートのキャッシュに保存する
+// route を指定しない場合はルートテーブルから探します
+async function refreshUrlIntoCache({ url, route: routeName }) {
+  const request = new Request(new URL(url, self.location).href);
+  const route = routeName
+    ? ROUTES.find((candidate) => candidate.name === routeName)
+    : findRoute(request);
+
+  if (!route || !route.cacheName) {
+    throw new Error(`保存先のキャッシュがありません: ${request.url}`);
+  }
+
+  const response = await fetch(request, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${request.url}`);
+  }
+
+  await putInCache(route, request, response);
+  return request.url;
+}
+
+// 設定された URL を順に更新する同期タスク
+async function refreshPeriodicContent({ reportProgress }) {
+  const urls = PERIODIC_SYNC_CONFIG.urls;
+  const result = { refreshed: 0, failed: 0 };
+
+  for (const [index, entry] of urls.entries()) {
+    await reportProgress({ completed: index, total: urls.length, message: entry.url });
+
+    try {
+      await refreshUrlIntoCache(entry);
+      result.refreshed++;
+    } catch (error) {
+      result.failed++;
+      log(`定期同期の更新失敗: ${error.message}`);
+    }
+  }
+
+  await reportProgress({ completed: urls.length, total: urls.length, message: '完了' });
+
+  if (result.failed > 0 && result.refreshed === 0) {
+    throw new Error(`全ての URL の更新に失敗しました (${result.failed} 件)`);
+  }
+
+  return result;
+}
+
+// 実行結果を記録し、古い記録を削除する
+async function recordPeriodicSyncRun(entry) {
+  await idbPut('periodic-sync-log', entry);
+
+  const entries = (await idbGetAll('periodic-sync-log')).sort((a, b) => b.id - a.id);
+  await Promise.all(entries
+    .slice(PERIODIC_SYNC_CONFIG.maxLogEntries)
+    .map((oldEntry) => idbDelete('periodic-sync-log', oldEntry.id)));
+
+  await broadcastMessage({ type: 'PERIODIC_SYNC_LOGGED' });
+}
+
+// periodicsync イベントで同期タスクを実行し、結果を記録する
+async function runPeriodicSync(tag) {
+  const startedAt = Date.now();
+
+  try {
+    const result = await runSyncTask(tag);
+    await recordPeriodicSyncRun({ tag, startedAt, finishedAt: Date.now(), ok: true, ...result });
+  } catch (error) {
+    await recordPeriodicSyncRun({ tag, startedAt, finishedAt: Date.now(), ok: false, error: error.message });
+  }
+}
@@ -0,0 +1,125 @@
+// プリキャッシュマニフェスト
+// このファイルは scripts/generate-precache-manifest.js によって自動生成されます。手動で編集しないでください
+// url は sw.js の場所からの相対パス、revision はファイル内容のハッシュです
+self.__PRECACHE_MANIFEST = [
+  {
+    "url": "css/style.css",
+    "revision": "b699d8d1f571686a"
+  },
+  {
+    "url": "fallbacks/empty.css",
+    "revision": "ff31b0ba33c15079"
+  },
+  {
+    "url": "fallbacks/image.svg",
+    "revision": "d21a9bfbc62a02b0"
+  },
+  {
+    "url": "fallbacks/offline.json",
+    "revision": "6288a46da6fd168f"
+  },
+  {
+    "url": "icons/icon-128x128.png",
+    "revision": "8ebbd22fa85b12ae"
+  },
+  {
+    "url": "icons/icon-144x144.png",
+    "revision": "89d0535f7e732174"
+  },
+  {
+    "url": "icons/icon-152x152.png",
+    "revision": "460198498326edb8"
+  },
+  {
+    "url": "icons/icon-192x192.png",
+    "revision": "ff1bad8c6b13526a"
+  },
+  {
+    "url": "icons/icon-384x384.png",
+    "revision": "c859623d7f9cd59c"
+  },
+  {
+    "url": "icons/icon-512x512.png",
+    "revision": "5af43c7392d5746e"
+  },
+  {
+    "url": "icons/icon-72x72.png",
+    "revision": "2f35edad598e9c88"
+  },
+  {
+    "url": "icons/icon-96x96.png",
+    "revision": "01fa1a8bfe717b7b"
+  },
+  {
+    "url": "index.html",
+    "revision": "facfa3b7fb484175"
+  },
+  {
+    "url": "js/app.js",
+    "revision": "ada49ca3cb9893bc"
+  },
+  {
+    "url": "js/cache-inspector.js",
+    "revision": "c2bf76b53b30ec83"
+  },
+  {
+    "url": "js/config.js",
+    "revision": "42ea4f08a38f4cf2"
+  },
+  {
+    "url": "js/connectivity.js",
+    "revision": "01653e4f85c121e2"
+  },
+  {
+    "url": "js/format.js",
+    "revision": "d6af18e2071602a7"
+  },
+  {
+    "url": "js/idb.js",
+    "revision": "83baa0e11200e59f"
+  },
+  {
+    "url": "js/install.js",
+    "revision": "d3ba8da114373fdb"
+  },
+  {
+    "url": "js/messaging.js",
+    "revision": "d25690602cfa22f1"
+  },
+  {
+    "url": "js/offline.js",
+    "revision": "b356e445164091c0"
+  },
+  {
+    "url": "js/push-api.js",
+    "revision": "695c6eba8a158765"
+  },
+  {
+    "url": "js/push.js",
+    "revision": "0024fdf6bc780f6e"
+  },
+  {
+    "url": "js/storage.js",
+    "revision": "f39054f5b146bfc2"
+  },
+  {
+    "url": "js/sync.js",
+    "revision": "bcb06dc29e7b5bb5"
+  },
+  {
+    "url": "js/update.js",
+    "revision": "853407b3a36cafe5"
+  },
+  {
+    "url": "js/version.js",
+    "revision": "0eaaec7414b955a6"
+  },
+  {
+    "url": "manifest.json",
+    "revision": "84b8e84cd6f374ab"
+  },
+  {
+    "url": "offline.html",
+    "revision": "b72be8ef60298f14"
+  }
+];
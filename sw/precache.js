@@ -0,0 +1,87 @@
+// プリキャッシュ（アプリシェル）の管理
+// sw/precache-manifest.js の self.__PRECACHE_MANIFEST をもとに、
+// リビジョン付きのキャッシュキーでアプリシェルを PRECACHE_NAME に保存します
+//
+// キャッシュキーにリビジョンを含めることで:
+// - install 時は内容が変わったファイルだけをダウンロードできる
+// - 新しい Service Worker の install 中も、古い Service Worker は自分のリビジョンを使い続けられる
+// - activate 時はマニフェストから消えたキーだけを削除できる
+
+// マニフェストのエントリを URL とキャッシュキーに展開する
+// url は sw.js の場所からの相対パスなので、self.location を基準に解決します
+function getPrecacheEntries() {
+  return (self.__PRECACHE_MANIFEST || []).map((entry) => {
+    const url = new URL(entry.url, self.location).href;
+    const cacheKey = new URL(url);
+    cacheKey.searchParams.set(PRECACHE_REVISION_PARAM, entry.revision);
+
+    return {
+      url,
+      revision: entry.revision,
+      cacheKey: cacheKey.href
+    };
+  });
+}
+
+// URL に対応するプリキャッシュのエントリを探す
+// クエリとハッシュは無視し、'/' で終わる URL は index.html として扱います
+function findPrecacheEntry(requestUrl) {
+  const url = new URL(requestUrl, self.location);
+  url.search = '';
+  url.hash = '';
+
+  if (url.pathname.endsWith('/')) {
+    url.pathname += 'index.html';
+  }
+
+  return getPrecacheEntries().find((entry) => entry.url === url.href);
+}
+
+// install 時: 変更されたエントリだけをダウンロードしてキャッシュする
+async function installPrecache() {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cachedKeys = (await cache.keys()).map((request) => request.url);
+  const entries = getPrecacheEntries();
+
+  const changedEntries = entries.filter((entry) => !cachedKeys.includes(entry.cacheKey));
+
+  log(`プリキャッシュ: ${changedEntries.length} 件を取得 (変更なし ${entries.length - changedEntries.length} 件)`);
+
+  await Promise.all(changedEntries.map(async (entry) => {
+    // HTTP キャッシュを経由せず、必ずサーバーから最新を取得
+    const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`プリキャッシュ取得失敗 (${response.status}): ${entry.url}`);
+    }
+
+    await cache.put(entry.cacheKey, response);
+    log(`プリキャッシュに追加: ${entry.url} (${entry.revision})`);
+  }));
+}
+
+// activate 時: マニフェストから削除された（または古いリビジョンの）エントリを削除する
+async function cleanupPrecache() {
+  const cache = await caches.open(PRECACHE_NAME);
+  const currentKeys = getPrecacheEntries().map((entry) => entry.cacheKey);
+  const staleRequests = (await cache.keys())
+    .filter((request) => !currentKeys.includes(request.url));
+
+  await Promise.all(staleRequests.map((request) => {
+    log(`古いプリキャッシュを削除: ${request.url}`);
+    return cache.delete(request);
+  }));
+
+  log(`プリキャッシュ整理完了: ${staleRequests.length} 件削除`);
+}
+
+// リクエスト（または URL）に対応するプリキャッシュのレスポンスを返す
+// プリキャッシュ対象外、またはキャッシュにない場合は undefined
+async function matchPrecache(request) {
+  const entry = findPrecacheEntry(typeof request === 'string' ? request : request.url);
+  if (!entry) {
+    return undefined;
+  }
+
+  const cache = await caches.open(PRECACHE_NAME);
+  return cache.match(entry.cacheKey);
+}
@@ -0,0 +1,261 @@
+// プッシュ通知のペイロード
+// push イベントのデータ（JSON）を検証し、showNotification() に渡すタイトルとオプションに変換します
+// サーバーから届く値は信用せず、型が合わない・未知のフィールドは捨てて警告としてログに残します
+// 通知はペイロードが壊れていても必ず表示します（userVisibleOnly のため、表示しないとブラウザに警告される）
+//
+// ペイロードの形式（version: 1）:
+// {
+//   "version": 1,                      // スキーマのバージョン（省略時は 1）
+//   "title": "タイトル",
+//   "body": "本文",
+//   "icon": "icons/icon-192x192.png",  // URL は APP_BASE_URL からの相対パスまたは http(s) の絶対URL
+//   "image": "https://example.com/a.png",
+//   "badge": "icons/icon-72x72.png",
+//   "tag": "message-42",               // 同じタグの通知は置き換えられる
+//   "renotify": true,                  // 置き換え時にも音・バイブレーションで知らせる（tag が必要）
+//   "requireInteraction": false,       // ユーザーが操作するまで表示し続ける
+//   "silent": false,                   // 音・バイブレーションなし
+//   "timestamp": 1700000000000,        // 通知の日時（ミリ秒または ISO 8601 の文字列）
+//   "actions": [{ "action": "mark-read", "title": "既読にする", "icon": "...", "type": "button" }],
+//   "url": "messages/42",              // 通知をクリックした時に開く URL
+//   "data": { "messageId": 42 }        // アプリ独自のデータ（notification.data.custom に入る）
+// }
+// 古い形式（{ title, body, icon } だけ）もそのまま version 1 として扱えます
+
+// 対応しているペイロードのバージョン
+const PUSH_PAYLOAD_VERSION = 1;
+
+// 文字列フィールドの最大文字数（超えた分は切り捨てる）
+const PUSH_PAYLOAD_MAX_STRING_LENGTH = 1000;
+
+// ペイロードがない・タイトルがない場合の表示
+const PUSH_PAYLOAD_DEFAULTS = {
+  title: 'PWAテスト',
+  body: 'プッシュ通知のテストです',
+  vibrate: [200, 100, 200],
+  actions: [
+    { action: 'open', title: '開く' },
+    { action: 'close', title: '閉じる' }
+  ]
+};
+
+// フィールドと型の対応
+const PUSH_PAYLOAD_FIELDS = {
+  version: 'integer',
+  title: 'string',
+  body: 'string',
+  icon: 'url',
+  image: 'url',
+  badge: 'url',
+  tag: 'string',
+  renotify: 'boolean',
+  requireInteraction: 'boolean',
+  silent: 'boolean',
+  timestamp: 'timestamp',
+  actions: 'actions',
+  url: 'url',
+  data: 'object'
+};
+
+// 型ごとの検証
+// 値が不正な場合は Error を投げ、フィールドは捨てられる
+// warn(message) で、値を補正して使う場合の警告を残せる
+const PUSH_PAYLOAD_VALIDATORS = {
+  string(value, warn) {
+    if (typeof value !== 'string') {
+      throw new Error(`文字列ではありません (${typeof value})`);
+    }
+    if (value.length > PUSH_PAYLOAD_MAX_STRING_LENGTH) {
+      warn(`${PUSH_PAYLOAD_MAX_STRING_LENGTH} 文字に切り詰めました`);
+      return value.slice(0, PUSH_PAYLOAD_MAX_STRING_LENGTH);
+    }
+    return value;
+  },
+
+  url(value) {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error('URL の文字列ではありません');
+    }
+    const url = new URL(value, APP_BASE_URL);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`http(s) 以外の URL は使えません (${url.protocol})`);
+    }
+    return url.href;
+  },
+
+  boolean(value) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`真偽値ではありません (${typeof value})`);
+    }
+    return value;
+  },
+
+  integer(value) {
+    if (!Number.isInteger(value)) {
+      throw new Error('整数ではありません');
+    }
+    return value;
+  },
+
+  timestamp(value) {
+    const time = typeof value === 'string' ? Date.parse(value) : value;
+    if (typeof time !== 'number' || !Number.isFinite(time) || time <= 0) {
+      throw new Error('日時として解釈できません');
+    }
+    return time;
+  },
+
+  object(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      throw new Error('オブジェクトではありません');
+    }
+    return value;
+  },
+
+  actions(value, warn) {
+    if (!Array.isArray(value)) {
+      throw new Error('配列ではありません');
+    }
+
+    const maxActions = (self.Notification && Notification.maxActions) || 2;
+    const actions = [];
+
+    value.forEach((item, index) => {
+      try {
+        const action = validatePushAction(item, warn);
+        if (actions.some((existing) => existing.action === action.action)) {
+          throw new Error(`action "${action.action}" が重複しています`);
+        }
+        actions.push(action);
+      } catch (error) {
+        warn(`[${index}] を無視: ${error.message}`);
+      }
+    });
+
+    if (actions.length > maxActions) {
+      warn(`表示できるのは ${maxActions} 件までのため、残り ${actions.length - maxActions} 件を無視`);
+    }
+    return actions.slice(0, maxActions);
+  }
+};
+
+// 通知のアクションボタン1件を検証する
+function validatePushAction(item, warn) {
+  PUSH_PAYLOAD_VALIDATORS.object(item);
+  if (typeof item.action !== 'string' || typeof item.title !== 'string') {
+    throw new Error('action と title（文字列）が必要です');
+  }
+
+  const action = {
+    action: PUSH_PAYLOAD_VALIDATORS.string(item.action, warn),
+    title: PUSH_PAYLOAD_VALIDATORS.string(item.title, warn)
+  };
+  if (action.action === '' || action.title === '') {
+    throw new Error('action と title は空にできません');
+  }
+
+  if (item.icon !== undefined) {
+    action.icon = PUSH_PAYLOAD_VALIDATORS.url(item.icon);
+  }
+  if (item.type !== undefined) {
+    if (item.type !== 'button' && item.type !== 'text') {
+      throw new Error(`type は 'button' か 'text' です (${item.type})`);
+    }
+    action.type = item.type;
+  }
+  if (item.placeholder !== undefined) {
+    action.placeholder = PUSH_PAYLOAD_VALIDATORS.string(item.placeholder, warn);
+  }
+
+  return action;
+}
+
+// push イベントのデータを解釈する
+// JSON でない場合は本文として扱い、JSON でもオブジェクトでない場合は空のペイロードとして扱う
+function readPushData(pushData, warnings) {
+  if (!pushData) {
+    return {};
+  }
+
+  const text = pushData.text();
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    warnings.push('JSON ではないため本文として表示');
+    return { body: text };
+  }
+
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    warnings.push('ペイロードがオブジェクトではないため無視');
+    return {};
+  }
+  return payload;
+}
+
+// ペイロードを検証して showNotification() のタイトルとオプションを作る
+// 戻り値: { title, options, version, warnings }
+function parsePushPayload(pushData) {
+  const warnings = [];
+  const payload = readPushData(pushData, warnings);
+  const fields = {};
+
+  for (const [name, value] of Object.entries(payload)) {
+    const type = PUSH_PAYLOAD_FIELDS[name];
+    if (!type) {
+      warnings.push(`未知のフィールド "${name}" を無視`);
+      continue;
+    }
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    try {
+      fields[name] = PUSH_PAYLOAD_VALIDATORS[type](value, (message) => warnings.push(`${name}: ${message}`));
+    } catch (error) {
+      warnings.push(`${name} を無視: ${error.message}`);
+    }
+  }
+
+  const version = fields.version || PUSH_PAYLOAD_VERSION;
+  if (version > PUSH_PAYLOAD_VERSION) {
+    warnings.push(`未対応のバージョン ${version} - version ${PUSH_PAYLOAD_VERSION} として解釈`);
+  }
+
+  // tag がないと renotify は指定できない（showNotification() が TypeError になる）
+  if (fields.renotify && !fields.tag) {
+    warnings.push('renotify には tag が必要なため無視');
+    delete fields.renotify;
+  }
+
+  const options = {
+    body: fields.body !== undefined ? fields.body : PUSH_PAYLOAD_DEFAULTS.body,
+    icon: fields.icon || resolveAppUrl(APP_PATHS.icon),
+    badge: fields.badge || resolveAppUrl(APP_PATHS.badge),
+    actions: fields.actions || PUSH_PAYLOAD_DEFAULTS.actions.map((action) => ({ ...action, icon: resolveAppUrl(APP_PATHS.icon) })),
+    data: {
+      payloadVersion: version,
+      url: fields.url || null,
+      dateOfArrival: Date.now(),
+      custom: fields.data || {}
+    }
+  };
+
+  for (const name of ['image', 'tag', 'renotify', 'requireInteraction', 'silent', 'timestamp']) {
+    if (fields[name] !== undefined) {
+      options[name] = fields[name];
+    }
+  }
+
+  // silent と vibrate は同時に指定できない
+  if (!options.silent) {
+    options.vibrate = PUSH_PAYLOAD_DEFAULTS.vibrate;
+  }
+
+  return {
+    title: fields.title || PUSH_PAYLOAD_DEFAULTS.title,
+    options,
+    version,
+    warnings
+  };
+}
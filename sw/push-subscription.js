@@ -0,0 +1,78 @@
+// プッシュサブスクリプションの更新
+// プッシュサービスがサブスクリプションを失効・更新すると pushsubscriptionchange が発火します
+// ページが開いていなくても、新しいサブスクリプションを作成してプッシュサーバーに登録し直します（js/push-api.js）
+// 古いエンドポイントは oldEndpoint としてサーバーに送り、登録と同時に削除してもらいます
+//
+// 再試行しても登録できなかった場合（ネットワークエラー）は、リクエストをアウトボックス（sw/outbox.js）に保存し、
+// 接続が戻った時にバックグラウンド同期で再送します
+// 結果は PUSH_SUBSCRIPTION_CHANGED メッセージで開いているページに通知されます（js/push.js）
+
+// サーバーの設定から VAPID 公開鍵を取得する（取得できなければ null）
+async function loadServerApplicationServerKey() {
+  try {
+    return (await fetchPushConfig()).applicationServerKey;
+  } catch (error) {
+    log(`VAPID 公開鍵の取得に失敗: ${error.message}`);
+    return null;
+  }
+}
+
+// 新しいサブスクリプションを取得する
+// ブラウザが作成していなければ、サーバーの VAPID 公開鍵（取得できなければ古いサブスクリプションの鍵）で作成する
+async function resolveNewSubscription(event) {
+  if (event.newSubscription) {
+    return event.newSubscription;
+  }
+
+  const oldSubscription = event.oldSubscription;
+  const current = await self.registration.pushManager.getSubscription();
+  if (current && (!oldSubscription || current.endpoint !== oldSubscription.endpoint)) {
+    return current;
+  }
+
+  const applicationServerKey = await loadServerApplicationServerKey() ||
+    (oldSubscription && oldSubscription.options.applicationServerKey);
+  if (!applicationServerKey) {
+    throw new Error('VAPID 公開鍵がないためサブスクリプションを作成できません');
+  }
+  const options = { userVisibleOnly: true, applicationServerKey };
+
+  log('プッシュサブスクリプションを再作成');
+  return self.registration.pushManager.subscribe(options);
+}
+
+// pushsubscriptionchange イベントの処理
+async function handlePushSubscriptionChange(event) {
+  const oldEndpoint = event.oldSubscription ? event.oldSubscription.endpoint : null;
+  log(`プッシュサブスクリプションが変更されました: ${oldEndpoint || '(古いサブスクリプション不明)'}`);
+
+  let subscription;
+  try {
+    subscription = await resolveNewSubscription(event);
+  } catch (error) {
+    // 通知の許可が取り消された場合など
+    log(`プッシュサブスクリプションの再作成に失敗: ${error}`);
+    await broadcastMessage({ type: 'PUSH_SUBSCRIPTION_CHANGED', endpoint: null, registered: false, error: error.message });
+    return;
+  }
+
+  const message = { type: 'PUSH_SUBSCRIPTION_CHANGED', endpoint: subscription.endpoint, registered: false, queued: false, error: null };
+
+  try {
+    const result = await registerPushSubscription(subscription, { oldEndpoint });
+    message.registered = true;
+    log(`新しいプッシュサブスクリプションをサーバーに登録 (${result.attempts} 回目): ${subscription.endpoint}`);
+  } catch (error) {
+    message.error = error.message;
+
+    if (error.status === null) {
+      // 接続できない場合はアウトボックスから後で再送する
+      const body = createPushSubscriptionBody(subscription, oldEndpoint);
+      await enqueueRequest(createPushApiRequest(APP_PATHS.pushSubscribe, 'POST', body));
+      message.queued = true;
+    }
+    log(`新しいプッシュサブスクリプションの登録に失敗: ${error.message}${message.queued ? '（アウトボックスに保存）' : ''}`);
+  }
+
+  await broadcastMessage(message);
+}
@@ -0,0 +1,179 @@
+// ランタイムキャッシュの一括更新
+// ページの「キャッシュ更新」ボタンやオンライン復帰時に REFRESH_CACHES メッセージで実行されます
+//
+// キャッシュ済みの各エントリを条件付きリクエスト（If-None-Match / If-Modified-Since）で再検証し、
+// - 304 Not Modified: キャッシュをそのまま使う（ダウンロードを省略できたバイト数を bytesSaved に加算）
+// - 200:              新しいレスポンスでキャッシュを上書き（キャッシュ可否は sw/cacheability.js で判定）
+// 同時に送るリクエストは REFRESH_CONFIG.concurrency 件までに制限します
+// 進捗は CACHE_REFRESH_PROGRESS メッセージでページに通知されます
+//
+// プリキャッシュはリビジョンで管理されているため対象外です（sw/precache.js）
+//
+// キャッシュインスペクター（js/cache-inspector.js）の「再取得」は REFETCH_ENTRY メッセージで
+// 1エントリだけをネットワークから取得し直します（refetchCacheEntry）
+
+// 一括更新の設定
+const REFRESH_CONFIG = {
+  concurrency: 4
+};
+
+// 実行中の一括更新（同時に複数回実行しないため）
+let refreshCachesPromise = null;
+
+// キャッシュ名に対応するルート
+function findRouteByCacheName(cacheName) {
+  return [...ROUTES, DEFAULT_ROUTE].find((route) => route.cacheName === cacheName);
+}
+
+// キャッシュ済みレスポンスの検証子（ETag / Last-Modified）から条件付きリクエストを作る
+// 検証子がない場合は通常のリクエストになり、常に全体をダウンロードします
+function createConditionalRequest(request, cachedResponse) {
+  const headers = new Headers();
+  const etag = cachedResponse.headers.get('ETag');
+  const lastModified = cachedResponse.headers.get('Last-Modified');
+
+  if (etag) {
+    headers.set('If-None-Match', etag);
+  }
+  if (lastModified) {
+    headers.set('If-Modified-Since', lastModified);
+  }
+
+  // HTTP キャッシュを経由せずサーバーに再検証させる（304 がそのまま返ってくる）
+  return new Request(request.url, { headers, cache: 'no-store', credentials: 'same-origin' });
+}
+
+// キャッシュ済みレスポンスのサイズ（Content-Length がなければ本文を読んで数える）
+async function getCachedResponseSize(cachedResponse) {
+  const contentLength = Number(cachedResponse.headers.get('Content-Length'));
+  if (contentLength > 0) {
+    return contentLength;
+  }
+
+  return (await cachedResponse.clone().blob()).size;
+}
+
+// 1つのエントリを再検証し、結果（'updated' / 'not-modified' / 'skipped' / 'failed'）を返す
+async function refreshCacheEntry({ cache, route, request }) {
+  const cachedResponse = await cache.match(request);
+  if (!cachedResponse) {
+    return { result: 'skipped' };
+  }
+
+  // opaque レスポンスは検証子を読めず、他オリジンへの条件付きリクエストもできないため対象外
+  if (cachedResponse.type === 'opaque' || new URL(request.url).origin !== self.location.origin) {
+    return { result: 'skipped' };
+  }
+
+  try {
+    const response = await fetch(createConditionalRequest(request, cachedResponse));
+
+    if (response.status === 304) {
+      // 再検証できたので保存時刻を更新（maxAgeSeconds による削除を先送り）
+      if (route.expiration) {
+        await recordCacheWrite(route.cacheName, request.url);
+      }
+      return { result: 'not-modified', bytesSaved: await getCachedResponseSize(cachedResponse) };
+    }
+
+    if (!response.ok) {
+      log(`キャッシュ更新失敗 (${request.url}): HTTP ${response.status}`);
+      return { result: 'failed' };
+    }
+
+    await putInCache(route, request, response);
+    return { result: 'updated' };
+  } catch (error) {
+    log(`キャッシュ更新エラー (${request.url}): ${error.message}`);
+    return { result: 'failed' };
+  }
+}
+
+// 全てのランタイムキャッシュを再検証する
+async function runRefreshCaches({ concurrency = REFRESH_CONFIG.concurrency } = {}) {
+  const cacheNames = await caches.keys();
+  const targets = [];
+
+  for (const cacheName of getRouteCacheNames().filter((name) => cacheNames.includes(name))) {
+    const cache = await caches.open(cacheName);
+    const route = findRouteByCacheName(cacheName);
+    for (const request of await cache.keys()) {
+      targets.push({ cache, route, request });
+    }
+  }
+
+  const summary = {
+    total: targets.length,
+    completed: 0,
+    updated: 0,
+    notModified: 0,
+    skipped: 0,
+    failed: 0,
+    bytesSaved: 0
+  };
+  const counters = { updated: 'updated', 'not-modified': 'notModified', skipped: 'skipped', failed: 'failed' };
+
+  log(`キャッシュの一括更新を開始: ${targets.length} 件 (同時 ${concurrency} 件)`);
+  await broadcastMessage({ type: 'CACHE_REFRESH_PROGRESS', ...summary });
+
+  // concurrency 個のワーカーが targets を順に取り出して処理する
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < targets.length) {
+      const target = targets[nextIndex++];
+      const { result, bytesSaved = 0 } = await refreshCacheEntry(target);
+
+      summary[counters[result]]++;
+      summary.bytesSaved += bytesSaved;
+      summary.completed++;
+
+      await broadcastMessage({ type: 'CACHE_REFRESH_PROGRESS', url: target.request.url, ...summary });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  log(`キャッシュの一括更新完了: 更新 ${summary.updated} / 変更なし ${summary.notModified} / 対象外 ${summary.skipped} / 失敗 ${summary.failed} (節約 ${summary.bytesSaved} バイト)`);
+  return summary;
+}
+
+// 一括更新を実行する（実行中の場合は実行中の結果を待つ）
+function refreshCaches(options) {
+  if (!refreshCachesPromise) {
+    refreshCachesPromise = runRefreshCaches(options).finally(() => {
+      refreshCachesPromise = null;
+    });
+  }
+  return refreshCachesPromise;
+}
+
+// 1つのエントリをネットワークから取得し直し、同じキャッシュに保存する
+// キャッシュ可否と有効期限はルートの設定に従う（putInCache）
+// 戻り値: { url, cacheName, updated } - キャッシュ対象外のレスポンスだった場合 updated は false
+async function refetchCacheEntry({ cacheName, url }) {
+  const route = findRouteByCacheName(cacheName);
+  if (!route) {
+    throw new Error(`ランタイムキャッシュではありません: ${cacheName}`);
+  }
+
+  const cache = await caches.open(cacheName);
+  const [request] = await cache.keys(url);
+  if (!request) {
+    throw new Error(`キャッシュにありません: ${url}`);
+  }
+
+  // 他オリジンのエントリは保存時と同じモードで取得する（no-cors なら opaque レスポンスになる）
+  const sameOrigin = new URL(url).origin === self.location.origin;
+  const response = await fetch(new Request(url, {
+    mode: sameOrigin ? 'same-origin' : (request.mode === 'cors' ? 'cors' : 'no-cors'),
+    credentials: sameOrigin ? 'same-origin' : 'omit',
+    cache: 'no-store'
+  }));
+
+  if (!response.ok && response.type !== 'opaque') {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const updated = await putInCache(route, request, response);
+  log(`キャッシュのエントリを再取得 (${cacheName}): ${url}${updated ? '' : '（キャッシュ対象外のため保存せず）'}`);
+  return { url, cacheName, updated };
+}
@@ -0,0 +1,37 @@
+// リリース情報（バージョンとリリースノート）
+// 新しい Service Worker は install 時に APP_PATHS.version（version.json）を取得し、
+// 待機中にページから GET_RELEASE_INFO で問い合わせられた時に返します
+// ページ（js/update.js）はこれを更新バナーに表示し、ユーザーが承認してから SKIP_WAITING を送ります
+//
+// version.json の形式: { "version": "1.2.0", "releasedAt": "2026-10-19", "notes": ["変更点", ...] }
+
+// 取得したリリース情報（Service Worker が停止・再起動された場合は取得し直す）
+let releaseInfo = null;
+
+// version.json を取得する
+// 取得できない場合もインストールは失敗させず、SW_VERSION だけのリリース情報を返します
+async function loadReleaseInfo() {
+  if (releaseInfo) {
+    return releaseInfo;
+  }
+
+  try {
+    const response = await fetch(resolveAppUrl(APP_PATHS.version), { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    releaseInfo = {
+      version: data.version || SW_VERSION,
+      releasedAt: data.releasedAt || null,
+      notes: Array.isArray(data.notes) ? data.notes.map(String) : []
+    };
+    log(`リリース情報を取得: ${releaseInfo.version} (${releaseInfo.notes.length} 件の変更点)`);
+  } catch (error) {
+    log(`リリース情報の取得エラー: ${error.message}`);
+    return { version: SW_VERSION, releasedAt: null, notes: [] };
+  }
+
+  return releaseInfo;
+}
@@ -0,0 +1,78 @@
+// Service Worker ルーター
+// sw.js の ROUTES テーブルを上から順に評価し、最初に一致したルートの戦略でリクエストを処理します
+// どのルートにも一致しない場合は DEFAULT_ROUTE が使われます
+//
+// ルート定義の match には以下を指定できます（指定した条件は全て満たす必要があります）
+// - urlPattern:  RegExp（URL 全体に対して評価）または文字列（パス名の前方一致）
+// - destination: request.destination の値、またはその配列（'document', 'image' など）
+// - sameOrigin:  true の場合は同一オリジンのリクエストのみ
+// - hosts:       ホスト名（example.com:8080 の形式）の配列。いずれかに一致する他オリジンのリクエストのみ
+// - precached:   true の場合はプリキャッシュマニフェストに含まれる URL のみ
+
+// ルートの match 条件とリクエストを照合する
+function routeMatches(route, request, url) {
+  const match = route.match || {};
+
+  if (match.sameOrigin && url.origin !== self.location.origin) {
+    return false;
+  }
+
+  if (match.hosts && (url.origin === self.location.origin || !match.hosts.includes(url.host))) {
+    return false;
+  }
+
+  if (match.destination) {
+    const destinations = Array.isArray(match.destination) ? match.destination : [match.destination];
+    if (!destinations.includes(request.destination)) {
+      return false;
+    }
+  }
+
+  if (match.precached && !findPrecacheEntry(url.href)) {
+    return false;
+  }
+
+  if (match.urlPattern instanceof RegExp) {
+    if (!match.urlPattern.test(url.href)) {
+      return false;
+    }
+  } else if (typeof match.urlPattern === 'string') {
+    if (!url.pathname.startsWith(match.urlPattern)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// リクエストに対応するルートを探す
+function findRoute(request) {
+  const url = new URL(request.url);
+  return ROUTES.find((route) => routeMatches(route, request, url)) || DEFAULT_ROUTE;
+}
+
+// ルートに設定された戦略でリクエストを処理する
+function handleRoute(route, event) {
+  const strategy = STRATEGIES[route.strategy];
+  if (!strategy) {
+    return Promise.reject(new Error(`未知のキャッシュ戦略: ${route.strategy} (ルート: ${route.name})`));
+  }
+
+  // ページが HTTP キャッシュを使わない取得（cache: 'reload' / 'no-store'）を明示した場合は、
+  // キャッシュ戦略に関わらずネットワークから取得してキャッシュを更新する（キャッシュの再取得など）
+  if (route.cacheName && ['reload', 'no-store'].includes(event.request.cache)) {
+    log(`ルート "${route.name}" (ネットワーク強制): ${event.request.url}`);
+    return fetchAndCache({ request: event.request, event, route });
+  }
+
+  log(`ルート "${route.name}" (${route.strategy}): ${event.request.url}`);
+  return strategy({ request: event.request, event, route });
+}
+
+// ルートで使用される全てのキャッシュ名
+// activate 時の古いキャッシュ削除で、これらは削除対象から除外されます
+function getRouteCacheNames() {
+  return [...ROUTES, DEFAULT_ROUTE]
+    .map((route) => route.cacheName)
+    .filter((cacheName, index, list) => cacheName && list.indexOf(cacheName) === index);
+}
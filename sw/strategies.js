@@ -0,0 +1,213 @@
+// Service Worker キャッシュ戦略の実装
+// sw.js の ROUTES テーブルから strategy 名で参照されます
+// 各戦略は { request, event, route } を受け取り、Response を返す Promise を返します
+//
+// - cache-first:            キャッシュ優先。なければネットワークから取得してキャッシュ
+// - network-first:          ネットワーク優先。タイムアウト・失敗時はキャッシュを返す
+// - stale-while-revalidate: キャッシュを即座に返し、裏でネットワークから更新
+// - network-only:           常にネットワーク。キャッシュは使わない
+// - cache-only:             常にキャッシュ。ネットワークは使わない
+// - precache:               プリキャッシュ（sw/precache.js）から返す。なければネットワーク
+
+// レスポンスをルートのキャッシュに保存する
+// 保存してよいかは sw/cacheability.js のポリシーで判定し、対象外の場合は理由をログに出します
+// 保存した場合は true を返します
+async function putInCache(route, request, response) {
+  if (!route.cacheName) {
+    return false;
+  }
+
+  const { cacheable, rule, reason } = checkCacheability(request, response, route.cacheability);
+  if (!cacheable) {
+    log(`キャッシュ対象外 [${rule}] ${reason}: ${request.url}`);
+    return false;
+  }
+
+  const opaque = response.type === 'opaque';
+  const cache = await caches.open(route.cacheName);
+  await cache.put(request, response);
+  log(`キャッシュに追加 (${route.cacheName})${opaque ? ' [opaque]' : ''}: ${request.url}`);
+
+  // 有効期限が設定されたキャッシュは保存時刻を記録して上限を適用（sw/expiration.js）
+  if (route.expiration) {
+    await recordCacheWrite(route.cacheName, request.url, { opaque });
+    await enforceExpiration(route.cacheName, route.expiration);
+  }
+  return true;
+}
+
+// ルートのキャッシュからレスポンスを探す
+async function matchInCache(route, request) {
+  if (!route.cacheName) {
+    return undefined;
+  }
+
+  const cache = await caches.open(route.cacheName);
+  const cachedResponse = await cache.match(request);
+
+  // LRU 判定のため最終アクセス時刻を更新（レスポンスは待たせない）
+  if (cachedResponse && route.expiration) {
+    recordCacheAccess(route.cacheName, request.url)
+      .catch((error) => {
+        log(`アクセス時刻の記録エラー (${request.url}): ${error}`);
+      });
+  }
+
+  return cachedResponse;
+}
+
+// 指定秒数で reject される Promise と競争させる
+// seconds が未指定の場合はタイムアウトなし
+function withTimeout(promise, seconds) {
+  if (!seconds) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timerId = setTimeout(() => {
+      reject(new Error(`タイムアウト (${seconds}秒)`));
+    }, seconds * 1000);
+
+    promise.then(
+      (value) => {
+        clearTimeout(timerId);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(timerId);
+        reject(error);
+      }
+    );
+  });
+}
+
+// ネットワークから取得する
+// ページ遷移では activate 時に有効化したナビゲーションプリロードのレスポンスを優先して使います
+// （Service Worker の起動と並行してブラウザがリクエストを開始しているため速い）
+async function fetchFromNetwork({ request, event }) {
+  if (request.mode === 'navigate' && event.preloadResponse) {
+    const preloadResponse = await event.preloadResponse;
+    if (preloadResponse) {
+      log(`ナビゲーションプリロードを使用: ${request.url}`);
+      return preloadResponse;
+    }
+  }
+
+  return fetch(request);
+}
+
+// ネットワークから取得し、成功したらキャッシュを更新する
+// キャッシュ保存は event.waitUntil で Service Worker の終了を防ぎます
+function fetchAndCache({ request, event, route }) {
+  return fetchFromNetwork({ request, event }).then((response) => {
+    event.waitUntil(
+      putInCache(route, request, response.clone())
+        .catch((error) => {
+          log(`キャッシュ保存エラー (${request.url}): ${error}`);
+        })
+    );
+    return response;
+  });
+}
+
+// Cache First 戦略
+async function cacheFirst({ request, event, route }) {
+  const cachedResponse = await matchInCache(route, request);
+  if (cachedResponse) {
+    log(`キャッシュからレスポンス: ${request.url}`);
+    return cachedResponse;
+  }
+
+  log(`ネットワークから取得: ${request.url}`);
+  return fetchAndCache({ request, event, route });
+}
+
+// Network First 戦略
+// route.networkTimeoutSeconds を過ぎてもネットワークが応答しない場合はキャッシュを返します
+// キャッシュもない場合、route.fallbackOnTimeout が true なら失敗として扱い（fetch ハンドラのフォールバックへ）、
+// そうでなければそのままネットワークの応答を待ちます
+async function networkFirst({ request, event, route }) {
+  const networkPromise = fetchAndCache({ request, event, route });
+
+  try {
+    const response = await withTimeout(networkPromise, route.networkTimeoutSeconds);
+    log(`ネットワークからレスポンス: ${request.url}`);
+    return response;
+  } catch (error) {
+    log(`ネットワーク失敗 (${error.message}) - キャッシュを確認: ${request.url}`);
+
+    // タイムアウト後に届いたレスポンスもキャッシュに反映させる
+    event.waitUntil(networkPromise.catch(() => {}));
+
+    const cachedResponse = await matchInCache(route, request);
+    if (cachedResponse) {
+      log(`キャッシュからレスポンス: ${request.url}`);
+      return cachedResponse;
+    }
+
+    if (route.fallbackOnTimeout) {
+      throw error;
+    }
+
+    return networkPromise;
+  }
+}
+
+// Stale While Revalidate 戦略
+async function staleWhileRevalidate({ request, event, route }) {
+  const networkPromise = fetchAndCache({ request, event, route });
+  const cachedResponse = await matchInCache(route, request);
+
+  if (cachedResponse) {
+    log(`キャッシュからレスポンス（裏で更新）: ${request.url}`);
+    event.waitUntil(
+      networkPromise.catch((error) => {
+        log(`バックグラウンド更新エラー (${request.url}): ${error}`);
+      })
+    );
+    return cachedResponse;
+  }
+
+  log(`ネットワークから取得: ${request.url}`);
+  return networkPromise;
+}
+
+// Network Only 戦略
+function networkOnly({ request }) {
+  log(`ネットワークのみ: ${request.url}`);
+  return fetch(request);
+}
+
+// Cache Only 戦略
+async function cacheOnly({ request, route }) {
+  const cachedResponse = await matchInCache(route, request);
+  if (!cachedResponse) {
+    throw new Error(`キャッシュに存在しません: ${request.url}`);
+  }
+
+  log(`キャッシュのみ: ${request.url}`);
+  return cachedResponse;
+}
+
+// Precache 戦略
+// リビジョン付きキーで保存されたアプリシェルを返します
+async function precacheFirst({ request }) {
+  const cachedResponse = await matchPrecache(request);
+  if (cachedResponse) {
+    log(`プリキャッシュからレスポンス: ${request.url}`);
+    return cachedResponse;
+  }
+
+  log(`プリキャッシュ未取得のためネットワークから取得: ${request.url}`);
+  return fetch(request);
+}
+
+// 戦略名と実装の対応表
+const STRATEGIES = {
+  'cache-first': cacheFirst,
+  'network-first': networkFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'network-only': networkOnly,
+  'cache-only': cacheOnly,
+  'precache': precacheFirst
+};
@@ -0,0 +1,103 @@
+// バックグラウンド同期エンジン
+// 同期タグごとにハンドラを登録し、sync イベントで対応するハンドラを実行します
+// 実行の開始・進捗・成功・失敗は SYNC_STATUS メッセージで開いている全てのページに通知され、
+// ページの #syncStatus に実際の結果が表示されます
+//
+// ハンドラは { tag, reportProgress } を受け取り、結果（任意の値）を返す Promise を返します
+// reportProgress({ completed, total, message }) で進捗を通知できます
+// 例外を投げると失敗として通知され、sync イベントの場合はブラウザが再試行します
+//
+// Background Sync API 未対応のブラウザでは、同期タグが IndexedDB の 'pending-sync' ストアに保存され、
+// ページからの RUN_SYNC メッセージ（js/sync.js）または Service Worker の起動時に実行されます
+
+// 同期タグとハンドラの対応表
+const SYNC_TASKS = {};
+
+// 同期タスクを登録する
+function registerSyncTask(tag, handler) {
+  SYNC_TASKS[tag] = handler;
+  log(`同期タスクを登録: ${tag}`);
+}
+
+// 同期タスクが登録されているか
+function hasSyncTask(tag) {
+  return Boolean(SYNC_TASKS[tag]);
+}
+
+// 同期タスクを実行し、状態をページに通知する
+async function runSyncTask(tag) {
+  const handler = SYNC_TASKS[tag];
+  if (!handler) {
+    throw new Error(`未登録の同期タスク: ${tag}`);
+  }
+
+  log(`同期タスク開始: ${tag}`);
+  await broadcastMessage({ type: 'SYNC_STATUS', tag, state: 'start' });
+
+  const reportProgress = (progress) => {
+    log(`同期タスク進捗 (${tag}): ${progress.completed}/${progress.total}${progress.message ? ` ${progress.message}` : ''}`);
+    return broadcastMessage({ type: 'SYNC_STATUS', tag, state: 'progress', ...progress });
+  };
+
+  try {
+    const result = await handler({ tag, reportProgress });
+    log(`同期タスク完了: ${tag}`);
+    await broadcastMessage({ type: 'SYNC_STATUS', tag, state: 'success', result });
+    return result;
+  } catch (error) {
+    log(`同期タスク失敗 (${tag}): ${error.message}`);
+    await broadcastMessage({ type: 'SYNC_STATUS', tag, state: 'failure', error: error.message });
+    throw error;
+  }
+}
+
+// 実行中の同期タグと、その実行の Promise
+// 代替方式でページとService Worker起動時の実行が重ならないよう、実行中なら同じ Promise を返します
+const runningSyncTags = new Map();
+
+// 同期を要求する
+// Background Sync API が使えない場合は 'pending-sync' ストアに保存し、代替方式で実行されるのを待つ
+async function requestSync(tag) {
+  if ('sync' in self.registration) {
+    await self.registration.sync.register(tag);
+    log(`バックグラウンド同期を登録: ${tag}`);
+    return;
+  }
+
+  await idbPut('pending-sync', { tag, registeredAt: Date.now() });
+  log(`バックグラウンド同期未対応のため保留中として保存: ${tag}`);
+}
+
+// 同期タグを今すぐ実行し、成功したら 'pending-sync' から削除する
+// 代替方式の実行と RUN_SYNC コマンドで使われます
+// 失敗した場合は保留中のまま残し、次のオンライン復帰・ページ表示・起動時に再実行されます
+function runPendingSyncTag(tag) {
+  if (runningSyncTags.has(tag)) {
+    log(`同期タスクは実行中のため完了を待つ: ${tag}`);
+    return runningSyncTags.get(tag);
+  }
+
+  const runPromise = runSyncTask(tag)
+    .then(async (result) => {
+      await idbDelete('pending-sync', tag);
+      return result;
+    })
+    .finally(() => {
+      runningSyncTags.delete(tag);
+    });
+
+  runningSyncTags.set(tag, runPromise);
+  return runPromise;
+}
+
+// 保留中の全ての同期タグを実行する（代替方式）
+async function flushPendingSyncTags() {
+  const entries = await idbGetAll('pending-sync');
+  for (const entry of entries) {
+    try {
+      await runPendingSyncTag(entry.tag);
+    } catch (error) {
+      log(`保留中の同期タスクは次回に再実行: ${entry.tag}`);
+    }
+  }
+}